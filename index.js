@@ -1,8 +1,85 @@
 const express = require('express');
 require('dotenv').config();
 const cors = require('cors');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const openApiDocument = require('./openapi');
 const app = express();
 const port = process.env.PORT || 5000; // Using port 5000
+// Maintenance commands: `node index.js <command>` runs a batch job and exits instead of starting the server
+const cliCommand = process.argv[2];
+
+// --- Logging and errors --- //
+// Structured JSON logs, one object per line. LOG_LEVEL (error, warn, info, debug; default info) sets the threshold.
+// Lines logged while a request is being handled carry its requestId, including lines from shared helpers.
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const logThreshold = LOG_LEVELS[process.env.LOG_LEVEL] ?? LOG_LEVELS.info;
+const requestContext = new AsyncLocalStorage();
+
+const serializeError = (error) => (error instanceof Error
+  ? { name: error.name, message: error.message, code: error.code, stack: error.stack }
+  : error);
+
+const writeLog = (level, msg, fields = {}) => {
+  if (LOG_LEVELS[level] > logThreshold) return;
+  const context = requestContext.getStore();
+  const entry = { time: new Date().toISOString(), level, msg, ...(context && { requestId: context.requestId }) };
+  for (const [key, value] of Object.entries(fields)) entry[key] = serializeError(value);
+  (LOG_LEVELS[level] <= LOG_LEVELS.warn ? process.stderr : process.stdout).write(JSON.stringify(entry) + '\n');
+};
+
+const logger = {
+  error: (msg, fields) => writeLog('error', msg, fields),
+  warn: (msg, fields) => writeLog('warn', msg, fields),
+  info: (msg, fields) => writeLog('info', msg, fields),
+  debug: (msg, fields) => writeLog('debug', msg, fields),
+};
+
+// Machine-readable codes for each status; routes pass a more specific code where clients need to tell cases apart
+const defaultErrorCodes = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'upstream_unavailable',
+};
+
+// Every error response has the same shape: { code, status, message, details?, requestId }
+const sendError = (res, status, message, { code, details } = {}) => res.status(status).json({
+  code: code || defaultErrorCodes[status] || 'error',
+  status,
+  message,
+  ...(details !== undefined && { details }),
+  requestId: res.req.id,
+});
+
+// Request IDs: a caller-supplied X-Request-Id is kept (so traces can span services), otherwise one is generated.
+// The ID is echoed in the response and every request ends with one access log line.
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const status = res.statusCode;
+    writeLog(status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info', 'request', {
+      requestId: req.id,
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : null, // The matched pattern, e.g. /api/books/:id
+      path: req.originalUrl.split('?')[0],
+      status,
+      latencyMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+      uid: req.user ? req.user.uid : null,
+    });
+  });
+  requestContext.run({ requestId: req.id }, next);
+});
+// --- End logging and errors --- //
 
 const admin = require("firebase-admin");
 // Decode Firebase Service Account Key from environment variable
@@ -11,7 +88,7 @@ try {
   const decoded = Buffer.from(process.env.FB_SERVICE_KEY, 'base64').toString('utf8');
   serviceAccount = JSON.parse(decoded);
 } catch (error) {
-  console.error('Error decoding Firebase Service Account Key:', error);
+  logger.error('Error decoding Firebase Service Account Key', { error });
   // Exit if key is missing or invalid
   process.exit(1);
 }
@@ -28,29 +105,758 @@ app.use(cors({
   origin: ['http://localhost:5173', 'https://my-assinment11.web.app'], // Allow frontend origin(s)
   credentials: true
 }));
+// Behind a proxy (Vercel, a load balancer), req.ip must come from X-Forwarded-For for per-IP limits to work.
+// TRUST_PROXY is the number of proxy hops in front of the app. Unset, it is 1 on Vercel (which sets VERCEL=1 and
+// serves every request through its edge) and 0 elsewhere, since trusting a hop that isn't there lets clients pick
+// their own IP with a forged header.
+const TRUST_PROXY = process.env.TRUST_PROXY ? parseInt(process.env.TRUST_PROXY) || 0 : (process.env.VERCEL ? 1 : 0);
+app.set('trust proxy', TRUST_PROXY);
 app.use(express.json());
 // cookieParser is not needed for Firebase ID Token auth
 // app.use(cookieParser());
 
+// Role and suspension live on the users document; a `role` custom claim is honoured when the document has none
+const loadRequestUser = async (decodedToken) => {
+  const account = await client.db('virtual-bookshelf').collection('users')
+    .findOne({ _id: decodedToken.uid }, { projection: { role: 1, suspension: 1 } });
+  return { user: { ...toRequestUser(decodedToken), role: (account && account.role) || decodedToken.role || 'user' }, account };
+};
+
+const sendSuspendedError = (res, account) =>
+  sendError(res, 403, 'Your account is suspended', { code: 'account_suspended', details: { suspendedUntil: account.suspension.until || null } });
+
 // Verify Firebase ID Token Middleware
 const verifyFirebaseToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).send({ message: 'Unauthorized access: No token provided or invalid format' });
+    return sendError(res, 401, 'Unauthorized access: No token provided or invalid format');
   }
   const token = authHeader.split(' ')[1];
 
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(token);
+  } catch (error) {
+    logger.warn('Firebase ID Token verification error', { error: error.message });
+    return sendError(res, 401, 'Unauthorized access: Invalid token');
+  }
+
   try {
-    const decodedToken = await admin.auth().verifyIdToken(token);
+    const { user, account } = await loadRequestUser(decodedToken);
     // Attach user info from Firebase token to request object
-    req.user = { email: decodedToken.email, uid: decodedToken.uid, name: decodedToken.name, photoURL: decodedToken.picture };
+    req.user = user;
+
+    if (isSuspended(account) && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      return sendSuspendedError(res, account);
+    }
     next();
   } catch (error) {
-    console.error('Firebase ID Token verification error:', error.message); // Log specific error message
-    return res.status(401).send({ message: 'Unauthorized access: Invalid token' });
+    logger.error('Error loading user account for authorization', { error });
+    return sendError(res, 500, 'Server error verifying account');
+  }
+};
+
+// Optional Firebase ID Token Middleware - attaches req.user (with role, as verifyFirebaseToken does) when a valid
+// token is sent. Used on public routes whose response depends on the viewer (e.g. whether they upvoted a book, or
+// whether a moderator sees hidden content). Only a suspended account's writes are rejected.
+const optionalFirebaseToken = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return next();
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(authHeader.split(' ')[1]);
+  } catch (error) {
+    // Public routes keep working with an expired or invalid token, just without viewer-specific fields
+    return next();
+  }
+
+  try {
+    const { user, account } = await loadRequestUser(decodedToken);
+    req.user = user;
+    if (isSuspended(account) && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      return sendSuspendedError(res, account);
+    }
+  } catch (error) {
+    // Without the account the viewer still gets their own fields, just no moderator access
+    logger.error('Error loading user account for authorization', { error });
+    req.user = { ...toRequestUser(decodedToken), role: 'user' };
+  }
+  next();
+};
+
+// Roles: moderators can edit or remove any book or review and suspend users; admins can also change roles
+const ROLES = ['user', 'moderator', 'admin'];
+const isModerator = (user) => !!user && (user.role === 'moderator' || user.role === 'admin');
+
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return sendError(res, 403, 'Not authorized: insufficient role');
+  }
+  next();
+};
+
+// A suspension without an end date lasts until it is lifted
+const isSuspended = (account) => !!(account && account.suspension && (!account.suspension.until || account.suspension.until > new Date()));
+
+const toRequestUser = (decodedToken) => ({ email: decodedToken.email, uid: decodedToken.uid, name: decodedToken.name, photoURL: decodedToken.picture });
+
+// --- Rate limiting --- //
+// Fixed-window limits per route group, counted per Firebase UID when the request is authenticated and per IP otherwise.
+// Each group can be tuned with RATE_LIMIT_<GROUP>=<max>/<window seconds>, e.g. RATE_LIMIT_WRITE=120/60.
+const rateLimitGroups = {
+  auth: { max: 10, windowSeconds: 15 * 60 }, // Register/login, the only writes open to anonymous clients
+  search: { max: 30, windowSeconds: 60 }, // Public full-text search, kept apart from general browsing
+  write: { max: 60, windowSeconds: 60 },
+  reaction: { max: 30, windowSeconds: 60 }, // Upvotes, likes, dislikes, shares
+  report: { max: 10, windowSeconds: 60 * 60 },
+  import: { max: 5, windowSeconds: 60 * 60 },
+};
+for (const [group, limits] of Object.entries(rateLimitGroups)) {
+  const override = /^(\d+)\/(\d+)$/.exec(process.env[`RATE_LIMIT_${group.toUpperCase()}`] || '');
+  if (override) rateLimitGroups[group] = { max: parseInt(override[1]), windowSeconds: parseInt(override[2]) };
+  else rateLimitGroups[group] = limits;
+}
+
+// Counter stores share one interface: `increment(key, windowMs)` counts a hit in the current window
+// and resolves to { count, resetAt } (resetAt is when the window ends).
+const rateLimitStores = {
+  // Per process: fine for a single instance, each instance counts separately otherwise
+  memory: () => {
+    const windows = new Map();
+    setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of windows) if (entry.resetAt <= now) windows.delete(key);
+    }, 60 * 1000).unref();
+    return {
+      async increment(key, windowMs) {
+        const now = Date.now();
+        let entry = windows.get(key);
+        if (!entry || entry.resetAt <= now) {
+          entry = { count: 0, resetAt: now + windowMs };
+          windows.set(key, entry);
+        }
+        entry.count += 1;
+        return { count: entry.count, resetAt: entry.resetAt };
+      },
+    };
+  },
+  // Shared across instances through the database; windows expire through a TTL index
+  mongo: () => {
+    const collection = () => client.db('virtual-bookshelf').collection('rateLimits');
+    let indexCreated = false;
+    return {
+      async increment(key, windowMs) {
+        if (!indexCreated) {
+          indexCreated = true;
+          collection().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+            .catch(error => logger.error('Error creating rate limit index', { error }));
+        }
+        const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+        const resetAt = windowStart + windowMs;
+        const entry = await collection().findOneAndUpdate(
+          { _id: `${key}:${windowStart}` },
+          { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+          { upsert: true, returnDocument: 'after' }
+        );
+        return { count: entry.count, resetAt };
+      },
+    };
+  },
+};
+
+const rateLimitStoreName = process.env.RATE_LIMIT_STORE || 'memory';
+if (!rateLimitStores[rateLimitStoreName]) {
+  logger.error(`Unknown RATE_LIMIT_STORE "${rateLimitStoreName}". Available stores: ${Object.keys(rateLimitStores).join(', ')}`);
+  process.exit(1);
+}
+const rateLimitStore = rateLimitStores[rateLimitStoreName]();
+
+// Middleware; place it after the auth middleware so signed-in users are counted by UID
+const rateLimit = (group) => async (req, res, next) => {
+  const { max, windowSeconds } = rateLimitGroups[group];
+  const identity = req.user ? `uid:${req.user.uid}` : `ip:${req.ip}`;
+  let usage;
+  try {
+    usage = await rateLimitStore.increment(`${group}:${identity}`, windowSeconds * 1000);
+  } catch (error) {
+    // A failing counter store should not take the API down with it
+    logger.error('Rate limit store error', { error });
+    return next();
+  }
+
+  const resetSeconds = Math.max(Math.ceil((usage.resetAt - Date.now()) / 1000), 0);
+  res.set({
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(Math.max(max - usage.count, 0)),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${max};w=${windowSeconds}`,
+  });
+  if (usage.count > max) {
+    res.set('Retry-After', String(resetSeconds));
+    return sendError(res, 429, 'Too many requests, please try again later', { details: { retryAfter: resetSeconds } });
+  }
+  next();
+};
+// --- End rate limiting --- //
+
+// Shape a book for API responses: hide the voter list and tell the viewer whether they have upvoted it
+const presentBook = (book, user) => {
+  const { upvotedBy, ...rest } = book;
+  return { ...rest, userUpvoted: !!user && Array.isArray(upvotedBy) && upvotedBy.includes(user.email) };
+};
+
+// Escape user input before embedding it in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every search term must match the start of a word in the title or the author
+const buildPrefixSearchQuery = (q) => {
+  const terms = q.split(/\s+/).filter(Boolean).slice(0, 8);
+  return {
+    $and: terms.map(term => {
+      const prefix = { $regex: `(^|\\s)${escapeRegex(term)}`, $options: 'i' };
+      return { $or: [{ bookTitle: prefix }, { bookAuthor: prefix }] };
+    })
+  };
+};
+
+// Book listing filters: query parameter -> how it narrows the books collection.
+// Shared by GET /api/books and GET /api/books/facets so both always agree on the result set.
+const bookFilters = {
+  userEmail: (value) => ({ userEmail: value }),
+  category: (value) => ({ bookCategory: value }),
+  status: (value) => (value === 'all' ? {} : { status: value }),
+  readingStatus: (value) => ({ readingStatus: value }),
+  author: (value) => ({ bookAuthor: value }),
+  rating: (value) => {
+    if (value === 'unrated') return { rating: { $not: { $gte: 1 } } };
+    const bucket = parseInt(value);
+    return bucket >= 1 && bucket <= 5 ? { rating: { $gte: bucket, $lt: bucket + 1 } } : {};
+  },
+};
+
+// Build a MongoDB filter from the request query, optionally leaving one filter out (used for facet counts)
+const buildBookFilter = (params, excludeFilter) => {
+  const query = {};
+  for (const [name, toQuery] of Object.entries(bookFilters)) {
+    const value = params[name];
+    if (name === excludeFilter || typeof value !== 'string' || !value) continue;
+    Object.assign(query, toQuery(value));
+  }
+  return query;
+};
+
+const READING_STATUSES = ['Want-to-Read', 'Reading', 'Read'];
+
+// The single bookmark list is exposed as a built-in shelf, so custom shelves and bookmarks share one API
+const BOOKMARKS_SHELF_ID = 'bookmarks';
+const SHELF_VISIBILITIES = ['private', 'public'];
+
+// Notification types a user can receive; each can be switched off in their preferences
+const NOTIFICATION_TYPES = ['review', 'review_like', 'review_dislike', 'upvote'];
+const NOTIFICATION_STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Reports: once an item collects REPORT_HIDE_THRESHOLD reports it is hidden from public listings until a moderator resolves it
+const REPORT_REASONS = ['spam', 'offensive', 'spoiler', 'harassment', 'inaccurate', 'other'];
+const REPORT_RESOLUTIONS = ['dismissed', 'hidden', 'deleted'];
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD) || 3;
+// Filter for books and reviews that are not hidden by moderation
+const notHidden = { 'moderation.hidden': { $ne: true } };
+// Filter for books and reviews (and the feed entries and notifications about them) that are not in the trash
+const notDeleted = { deletedAt: null };
+// Trashed books and reviews can be restored for this many days, then the purge job deletes them for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Replies nest up to this many levels below a review (a reply to a reply to a reply...)
+const MAX_REPLY_DEPTH = 4;
+
+// Trending: activity inside the window is scored with an exponential decay, so an upvote from
+// one half-life ago counts half as much as one from right now.
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const trendingWindows = {
+  day: { windowMs: DAY_MS, halfLifeMs: 6 * HOUR_MS },
+  week: { windowMs: 7 * DAY_MS, halfLifeMs: 2 * DAY_MS },
+  month: { windowMs: 30 * DAY_MS, halfLifeMs: 7 * DAY_MS },
+  all: { windowMs: null, halfLifeMs: 30 * DAY_MS },
+};
+const trendingWeights = { upvote: 3, review: 4, bookmark: 2, share: 1 };
+// How long precomputed trending scores are served before they are recomputed
+const TRENDING_REFRESH_MS = parseInt(process.env.TRENDING_REFRESH_MS) || 10 * 60 * 1000;
+
+// Recommendations: per-book similarity lists are cached and reused for this long before being recomputed
+const SIMILARITY_REFRESH_MS = parseInt(process.env.SIMILARITY_REFRESH_MS) || 6 * HOUR_MS;
+const SIMILAR_BOOKS_PER_BOOK = 20;
+// Signal weights: shared readers count more than shared metadata
+const similaritySignals = {
+  co_rating: { weight: 4, reason: () => 'Rated highly by the same readers' },
+  co_bookmark: { weight: 3, reason: () => 'Bookmarked by the same readers' },
+  co_upvote: { weight: 2, reason: () => 'Upvoted by the same readers' },
+  same_author: { weight: 5, reason: (book) => `Also by ${book.bookAuthor}` },
+  same_category: { weight: 1, reason: (book) => `More ${book.bookCategory}` },
+};
+
+// --- Rating aggregates --- //
+// Each book keeps ratingStats { count, sum, histogram: { 1..5 } }, updated in place as ratings change, and the
+// derived rating (average), totalRatings and bayesianRating. Half stars count towards the bucket above.
+// bayesianRating pulls books with few ratings towards RATING_PRIOR_MEAN as if they had RATING_PRIOR_WEIGHT extra
+// ratings, so one 5-star review does not top the charts.
+const RATING_PRIOR_MEAN = parseFloat(process.env.RATING_PRIOR_MEAN) || 3;
+const RATING_PRIOR_WEIGHT = parseInt(process.env.RATING_PRIOR_WEIGHT) || 5;
+const RATING_BUCKETS = [1, 2, 3, 4, 5];
+const ratingBucket = (rating) => Math.min(Math.max(Math.round(rating), 1), 5);
+const isStarRating = (rating) => rating >= starRating.min && rating <= starRating.max;
+
+const ratingDerivedFields = {
+  totalRatings: '$ratingStats.count',
+  rating: { $cond: [{ $gt: ['$ratingStats.count', 0] }, { $divide: ['$ratingStats.sum', '$ratingStats.count'] }, 0] },
+  bayesianRating: {
+    $cond: [
+      { $gt: ['$ratingStats.count', 0] },
+      { $divide: [{ $add: [RATING_PRIOR_MEAN * RATING_PRIOR_WEIGHT, '$ratingStats.sum'] }, { $add: [RATING_PRIOR_WEIGHT, '$ratingStats.count'] }] },
+      null,
+    ],
+  },
+};
+
+// Pipeline update applying rating changes to a book in one atomic write. `changes` lists { rating, delta }:
+// delta 1 for a new rating, -1 for a removed one (an edit is one of each).
+const ratingStatsUpdate = (changes) => {
+  const current = (path) => ({ $ifNull: [`$ratingStats.${path}`, 0] });
+  const bucketDelta = (bucket) => changes.filter(change => ratingBucket(change.rating) === bucket).reduce((total, change) => total + change.delta, 0);
+  return [
+    {
+      $set: {
+        'ratingStats.count': { $add: [current('count'), changes.reduce((total, change) => total + change.delta, 0)] },
+        'ratingStats.sum': { $add: [current('sum'), changes.reduce((total, change) => total + change.delta * change.rating, 0)] },
+        ...Object.fromEntries(RATING_BUCKETS.map(bucket => [`ratingStats.histogram.${bucket}`, { $add: [current(`histogram.${bucket}`), bucketDelta(bucket)] }])),
+      },
+    },
+    { $set: ratingDerivedFields },
+  ];
+};
+
+// ratingStats for a full list of ratings, used by the backfill
+const buildRatingStats = (ratings) => ({
+  count: ratings.length,
+  sum: ratings.reduce((total, rating) => total + rating, 0),
+  histogram: Object.fromEntries(RATING_BUCKETS.map(bucket => [bucket, ratings.filter(rating => ratingBucket(rating) === bucket).length])),
+});
+// --- End rating aggregates --- //
+
+// --- ISBN metadata --- //
+// Strip hyphens and spaces; returns the bare ISBN-10 or ISBN-13 if its checksum is valid, otherwise null
+const normalizeIsbn = (value) => {
+  const isbn = String(value || '').replace(/[\s-]/g, '').toUpperCase();
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const sum = [...isbn].reduce((total, char, i) => total + (char === 'X' ? 10 : +char) * (10 - i), 0);
+    return sum % 11 === 0 ? isbn : null;
+  }
+  if (/^97[89]\d{10}$/.test(isbn)) {
+    const sum = [...isbn].reduce((total, char, i) => total + +char * (i % 2 === 0 ? 1 : 3), 0);
+    return sum % 10 === 0 ? isbn : null;
+  }
+  return null;
+};
+
+// Books are stored and cached under their ISBN-13 so both forms of the same edition match
+const toIsbn13 = (isbn) => {
+  if (isbn.length === 13) return isbn;
+  const body = `978${isbn.slice(0, 9)}`;
+  const sum = [...body].reduce((total, char, i) => total + +char * (i % 2 === 0 ? 1 : 3), 0);
+  return body + ((10 - (sum % 10)) % 10);
+};
+
+const ISBN_LOOKUP_TIMEOUT_MS = parseInt(process.env.ISBN_LOOKUP_TIMEOUT_MS) || 5000;
+const ISBN_CACHE_HIT_MS = 30 * 24 * 60 * 60 * 1000;
+const ISBN_CACHE_MISS_MS = 24 * 60 * 60 * 1000; // Unknown ISBNs are retried sooner, providers add books over time
+const ISBN_METADATA_FIELDS = ['bookTitle', 'bookAuthor', 'bookOverview', 'bookCategory', 'coverPhoto', 'totalPage'];
+
+// Metadata providers share one interface: `lookup(isbn13)` resolves to book fields (a subset of
+// ISBN_METADATA_FIELDS) or null when the ISBN is unknown, and rejects when the provider itself fails.
+const isbnProviders = {
+  openlibrary: () => ({
+    name: 'openlibrary',
+    async lookup(isbn) {
+      const baseUrl = process.env.OPENLIBRARY_URL || 'https://openlibrary.org';
+      const response = await fetch(`${baseUrl}/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`, {
+        signal: AbortSignal.timeout(ISBN_LOOKUP_TIMEOUT_MS),
+      });
+      if (!response.ok) throw new Error(`Open Library responded with ${response.status}`);
+      const entry = (await response.json())[`ISBN:${isbn}`];
+      if (!entry) return null;
+      const overview = entry.excerpts?.[0]?.text || (typeof entry.notes === 'string' ? entry.notes : entry.notes?.value);
+      return {
+        bookTitle: entry.subtitle ? `${entry.title}: ${entry.subtitle}` : entry.title,
+        bookAuthor: entry.authors?.map(author => author.name).join(', '),
+        bookOverview: overview,
+        bookCategory: entry.subjects?.[0]?.name,
+        coverPhoto: entry.cover?.large || entry.cover?.medium,
+        totalPage: entry.number_of_pages,
+      };
+    },
+  }),
+  // Offline provider for development and tests, backed by fixtures/isbn.json (keyed by ISBN-13)
+  fixture: () => {
+    const fixtures = require('./fixtures/isbn.json');
+    return {
+      name: 'fixture',
+      async lookup(isbn) {
+        return fixtures[isbn] || null;
+      },
+    };
+  },
+};
+
+const isbnProviderName = process.env.ISBN_PROVIDER || 'openlibrary';
+if (!isbnProviders[isbnProviderName]) {
+  logger.error(`Unknown ISBN_PROVIDER "${isbnProviderName}". Available providers: ${Object.keys(isbnProviders).join(', ')}`);
+  process.exit(1);
+}
+const isbnProvider = isbnProviders[isbnProviderName]();
+// --- End ISBN metadata --- //
+
+// --- Schema validation --- //
+// Values accepted for a book's availability `status`
+const BOOK_STATUSES = ['available', 'unavailable'];
+
+// Field rules: type (string/integer/number), required, minLength/maxLength, min/max, enum, format (url/isbn).
+// Forms post numbers as strings, so integer and number fields accept numeric strings and are converted.
+const bookSchema = {
+  bookTitle: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  bookAuthor: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  bookCategory: { type: 'string', required: true, minLength: 1, maxLength: 60 },
+  bookOverview: { type: 'string', maxLength: 5000 },
+  coverPhoto: { type: 'string', format: 'url', maxLength: 2048 },
+  totalPage: { type: 'integer', min: 1, max: 100000 },
+  readingStatus: { type: 'string', enum: READING_STATUSES },
+  status: { type: 'string', enum: BOOK_STATUSES },
+  isbn: { type: 'string', format: 'isbn' },
+};
+
+// Star ratings go from half a star to five, in half-star steps
+const starRating = { type: 'number', required: true, min: 0.5, max: 5, step: 0.5 };
+
+const reviewSchema = {
+  reviewText: { type: 'string', maxLength: 5000 },
+  rating: starRating,
+};
+
+const ratingSchema = {
+  rating: starRating,
+};
+
+// Fields only the server writes; sending them is an error rather than being silently dropped
+const serverManagedFields = {
+  book: ['_id', 'userEmail', 'userName', 'upvote', 'upvotedBy', 'rating', 'totalReviews', 'totalRatings', 'ratingStats', 'bayesianRating', 'shares', 'createdAt', 'updatedAt', 'finishedAt', 'moderation', 'reportCount', 'importedFrom'],
+  review: ['_id', 'bookId', 'userEmail', 'userName', 'userPhoto', 'likes', 'dislikes', 'createdAt', 'updatedAt', 'moderation', 'reportCount', 'importedFrom'],
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const validateField = (field, rule, rawValue) => {
+  let value = rawValue;
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') return { error: `${field} must be a string` };
+    value = value.trim();
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return { error: rule.minLength === 1 ? `${field} must not be empty` : `${field} must be at least ${rule.minLength} characters` };
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) return { error: `${field} must be at most ${rule.maxLength} characters` };
+    if (rule.enum && !rule.enum.includes(value)) return { error: `${field} must be one of: ${rule.enum.join(', ')}` };
+    if (rule.format === 'url' && value !== '' && !isHttpUrl(value)) return { error: `${field} must be an http(s) URL` };
+    if (rule.format === 'isbn') {
+      const isbn = normalizeIsbn(value);
+      if (!isbn) return { error: `${field} must be an ISBN-10 or ISBN-13 with a valid check digit` };
+      value = toIsbn13(isbn);
+    }
+  } else {
+    if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+    if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${field} must be a number` };
+    if (rule.type === 'integer' && !Number.isInteger(value)) return { error: `${field} must be a whole number` };
+    if (rule.min !== undefined && value < rule.min) return { error: `${field} must be at least ${rule.min}` };
+    if (rule.max !== undefined && value > rule.max) return { error: `${field} must be at most ${rule.max}` };
+    if (rule.step !== undefined && !Number.isInteger(value / rule.step)) return { error: `${field} must be in steps of ${rule.step}` };
+  }
+  return { value };
+};
+
+// Check `body` against `schema`. Returns the cleaned, converted values and a list of { field, message } errors.
+// `partial` (updates) skips required checks; `managed` lists server-managed fields to reject by name.
+const validateBody = (body, schema, { partial = false, managed = [] } = {}) => {
+  const errors = [];
+  const value = {};
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+  }
+
+  for (const field of Object.keys(body)) {
+    if (managed.includes(field)) errors.push({ field, message: `${field} is managed by the server and cannot be set` });
+    else if (!schema[field]) errors.push({ field, message: `${field} is not a recognized field` });
+  }
+  for (const [field, rule] of Object.entries(schema)) {
+    const provided = body[field] !== undefined && body[field] !== null;
+    if (!provided) {
+      if (rule.required && !partial) errors.push({ field, message: `${field} is required` });
+      continue;
+    }
+    const result = validateField(field, rule, body[field]);
+    if (result.error) errors.push({ field, message: result.error });
+    else value[field] = result.value;
+  }
+  return { value, errors };
+};
+
+const sendValidationError = (res, errors) => sendError(res, 400, 'Validation failed', { code: 'validation_failed', details: errors });
+// --- End schema validation --- //
+
+// --- Pagination --- //
+// Every list route pages with an opaque `cursor` and a `limit` (capped at PAGINATION_MAX_LIMIT) and returns
+// `nextCursor` (null on the last page). Cursors over stored documents are keyset cursors: they carry the sort
+// values of the last item, so inserts don't shift pages. Ranked or computed lists use offset cursors instead.
+const PAGINATION_DEFAULT_LIMIT = 20;
+const PAGINATION_MAX_LIMIT = 100;
+
+// Dates and ObjectIds are tagged so they survive the JSON round trip
+const encodeCursorValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof ObjectId) return { $oid: value.toHexString() };
+  return value === undefined ? null : value;
+};
+const decodeCursorValue = (value) => {
+  if (value && typeof value === 'object' && typeof value.$date === 'string') return new Date(value.$date);
+  if (value && typeof value === 'object' && typeof value.$oid === 'string' && ObjectId.isValid(value.$oid)) return new ObjectId(value.$oid);
+  return value;
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+// Read `limit` and `cursor` from the query string. `kind` names the list the cursor belongs to, so a cursor
+// from one list or sort order can't be replayed against another. Returns { limit, after, offset } or { error },
+// where `offset` is the position of the page's first item. Without a cursor, the legacy `page` number still
+// picks the starting position while clients move over to cursors.
+const readPagination = (query, kind, { defaultLimit = PAGINATION_DEFAULT_LIMIT, maxLimit = PAGINATION_MAX_LIMIT } = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  if (query.cursor === undefined || query.cursor === '') {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    return { limit, after: null, offset: (page - 1) * limit };
+  }
+  const payload = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+  if (!payload || payload.k !== kind || (payload.v !== undefined && !Array.isArray(payload.v))) return { error: 'Invalid cursor' };
+  return { limit, after: payload, offset: offsetOf(payload) };
+};
+
+// Legacy page fields for lists that used to return them: the page the offset falls on, and the page count
+const pageFields = ({ limit, offset }, total) => ({ currentPage: Math.floor(offset / limit) + 1, totalPages: Math.ceil(total / limit) });
+
+// Sort specs always end with _id so every position is unique
+const withTiebreaker = (sort) => ('_id' in sort ? sort : { ...sort, _id: Object.values(sort)[0] || -1 });
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Filter matching the documents that come after `values` in `sort` order. Missing values sort first
+// ascending and last descending, as MongoDB orders them.
+const keysetFilter = (sort, values) => {
+  const fields = Object.entries(sort);
+  const branches = fields.map(([field, direction], i) => {
+    const value = values[i];
+    const equalBefore = Object.fromEntries(fields.slice(0, i).map(([previous], j) => [previous, values[j]]));
+    let beyond;
+    if (value === null) {
+      if (direction === -1) return null; // Nothing sorts after a missing value when descending
+      beyond = { [field]: { $ne: null } };
+    } else {
+      beyond = direction === 1 ? { [field]: { $gt: value } } : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    }
+    return { ...equalBefore, ...beyond };
+  }).filter(Boolean);
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+};
+
+// One page of `collection` matching `filter` in `sort` order; `kind` is the cursor namespace from readPagination.
+// Keyset cursors also carry the next page's position, for lists that still report page numbers.
+const findPage = async (collection, filter, sort, { limit, after, offset = 0 }, kind, options = {}) => {
+  const fullSort = withTiebreaker(sort);
+  const query = after ? { $and: [filter, keysetFilter(fullSort, after.v.map(decodeCursorValue))] } : filter;
+  const docs = await collection.find(query, options).sort(fullSort).skip(after ? 0 : offset).limit(limit + 1).toArray();
+  return pageOf(docs, fullSort, limit, offset, kind);
+};
+
+// The same over the output of an aggregation `pipeline`, for lists merged from several collections
+const aggregatePage = async (collection, pipeline, sort, { limit, after, offset = 0 }, kind) => {
+  const fullSort = withTiebreaker(sort);
+  const docs = await collection.aggregate([
+    ...pipeline,
+    ...(after ? [{ $match: keysetFilter(fullSort, after.v.map(decodeCursorValue)) }] : []),
+    { $sort: fullSort },
+    ...(after ? [] : [{ $skip: offset }]),
+    { $limit: limit + 1 },
+  ]).toArray();
+  return pageOf(docs, fullSort, limit, offset, kind);
+};
+
+const pageOf = (docs, fullSort, limit, offset, kind) => {
+  const items = docs.slice(0, limit);
+  const last = items[items.length - 1];
+  const nextCursor = docs.length > limit
+    ? encodeCursor({ k: kind, o: offset + items.length, v: Object.keys(fullSort).map(field => encodeCursorValue(getPath(last, field))) })
+    : null;
+  return { items, nextCursor };
+};
+
+// Offset cursors for ranked and computed lists (search relevance, trending, leaderboards, shelf positions)
+const offsetOf = (after) => (after && Number.isInteger(after.o) && after.o >= 0 ? after.o : 0);
+const nextOffsetCursor = (kind, offset, pageSize, hasMore) => (hasMore ? encodeCursor({ k: kind, o: offset + pageSize }) : null);
+// --- End pagination --- //
+
+// --- CSV import/export --- //
+const MAX_IMPORT_ROWS = 5000;
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
   }
+  if (inQuotes) throw new Error('Unterminated quoted field');
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (headers, records) => [headers, ...records.map(record => headers.map(header => record[header]))]
+  .map(cells => cells.map(toCsvField).join(','))
+  .join('\r\n') + '\r\n';
+
+// Both services export dates as YYYY/MM/DD (Goodreads sometimes with dashes)
+const parseExportDate = (value) => {
+  const match = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/.exec((value || '').trim());
+  if (!match) return null;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Goodreads wraps ISBNs as ="0439023483" to keep spreadsheets from mangling them
+const cleanIsbn = (value) => (value || '').replace(/^="?|"$/g, '').replace(/[^0-9Xx]/g, '').toUpperCase() || null;
+
+// Each format maps a CSV record (header -> value) to a normalized row; errors are collected per row
+const importFormats = {
+  goodreads: {
+    detect: (headers) => headers.includes('Exclusive Shelf') && headers.includes('My Rating'),
+    statuses: { 'read': 'Read', 'currently-reading': 'Reading', 'to-read': 'Want-to-Read' },
+    mapRow(record, errors) {
+      const status = this.statuses[(record['Exclusive Shelf'] || '').trim()];
+      if (record['Exclusive Shelf'] && !status) errors.push(`Unknown shelf "${record['Exclusive Shelf']}"`);
+      const dateRead = parseExportDate(record['Date Read']);
+      if (record['Date Read'] && !dateRead) errors.push(`Invalid Date Read "${record['Date Read']}"`);
+      const readCount = parseInt(record['Read Count']) || 0;
+      return {
+        bookTitle: record['Title'],
+        bookAuthor: record['Author'],
+        bookCategory: record['Category'],
+        isbn: cleanIsbn(record['ISBN13']) || cleanIsbn(record['ISBN']),
+        totalPage: parseInt(record['Number of Pages']) || null,
+        readingStatus: status,
+        rating: record['My Rating'],
+        // Goodreads review text is HTML
+        reviewText: (record['My Review'] || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').trim(),
+        dateAdded: parseExportDate(record['Date Added']),
+        // Only the latest read has a date; earlier re-reads are counted without one
+        reads: dateRead ? [{ startedAt: null, finishedAt: dateRead }] : [],
+        readCount: status === 'Read' ? Math.max(readCount, 1) : readCount,
+      };
+    },
+  },
+  storygraph: {
+    detect: (headers) => headers.includes('Read Status') && headers.includes('Star Rating'),
+    statuses: { 'read': 'Read', 'currently-reading': 'Reading', 'to-read': 'Want-to-Read', 'did-not-finish': 'Want-to-Read' },
+    mapRow(record, errors) {
+      const status = this.statuses[(record['Read Status'] || '').trim()];
+      if (record['Read Status'] && !status) errors.push(`Unknown read status "${record['Read Status']}"`);
+      // "Dates Read" lists every read-through as start-end ranges, e.g. "2023/01/05-2023/01/20, 2024/03/01-2024/03/09"
+      const reads = [];
+      for (const range of (record['Dates Read'] || '').split(',').map(part => part.trim()).filter(Boolean)) {
+        const [start, end] = range.split(/\s*-\s*(?=\d{4})/);
+        const startedAt = parseExportDate(start);
+        const finishedAt = end === undefined ? startedAt : parseExportDate(end);
+        if (!finishedAt) errors.push(`Invalid Dates Read "${range}"`);
+        else reads.push({ startedAt: end === undefined ? null : startedAt, finishedAt });
+      }
+      const lastRead = parseExportDate(record['Last Date Read']);
+      if (reads.length === 0 && lastRead) reads.push({ startedAt: null, finishedAt: lastRead });
+      const readCount = parseInt(record['Read Count']) || reads.length;
+      return {
+        bookTitle: record['Title'],
+        bookAuthor: record['Authors'],
+        bookCategory: record['Category'],
+        isbn: cleanIsbn(record['ISBN/UID']),
+        totalPage: parseInt(record['Number of Pages']) || null,
+        readingStatus: status,
+        rating: record['Star Rating'],
+        reviewText: (record['Review'] || '').trim(),
+        dateAdded: parseExportDate(record['Date Added']),
+        reads: reads,
+        readCount: status === 'Read' ? Math.max(readCount, 1) : readCount,
+      };
+    },
+  },
 };
 
+// Export columns follow Goodreads' names so an export can be imported again
+const EXPORT_CSV_HEADERS = ['Title', 'Author', 'Category', 'ISBN13', 'Number of Pages', 'My Rating', 'My Review', 'Exclusive Shelf', 'Date Read', 'Read Count', 'Date Added', 'Bookmarked', 'Owned'];
+// --- End CSV import/export --- //
+
 const uri = process.env.MONGODB_URI;
 // Create a MongoClient with a MongoClientOptions object to set the Stable API version
 const client = new MongoClient(uri, {
@@ -61,6 +867,12 @@ const client = new MongoClient(uri, {
   },
   serverSelectionTimeoutMS: 5000, // 5 seconds timeout
 });
+// $text queries and text indexes (used by /api/books/search) are outside Stable API V1, so strict mode rejects them.
+// Only those, and the other index builds, go through this non-strict client; everything else keeps the strict checks.
+const nonStrictClient = new MongoClient(uri, {
+  serverApi: { version: ServerApiVersion.v1, strict: false, deprecationErrors: true },
+  serverSelectionTimeoutMS: 5000,
+});
 
 async function run() {
   try {
@@ -70,16 +882,1202 @@ async function run() {
     // await client.db('admin').command({ ping: 1 });
 
     const database = client.db('virtual-bookshelf'); // Use your database name
+    const nonStrictDatabase = nonStrictClient.db('virtual-bookshelf');
     const usersCollection = database.collection('users');
     const booksCollection = database.collection('books');
     const reviewsCollection = database.collection('reviews');
     const bookmarksCollection = database.collection('bookmarks');
     const ratingsCollection = database.collection('ratings');
-    const reviewLikesCollection = database.collection('reviewLikes');
-    const reviewDislikesCollection = database.collection('reviewDislikes');
+    const upvotesCollection = database.collection('upvotes'); // Upvote history: one document per (bookId, userEmail)
+    const sharesCollection = database.collection('shares');
+    const trendingScoresCollection = database.collection('trendingScores'); // Precomputed scores per (window, bookId)
+    const trendingRunsCollection = database.collection('trendingRuns'); // Last computation time per window
+    const readingProgressCollection = database.collection('readingProgress'); // One document per (bookId, userEmail)
+    const readingGoalsCollection = database.collection('readingGoals'); // One document per (userEmail, year)
+    const challengesCollection = database.collection('challenges');
+    const challengeParticipantsCollection = database.collection('challengeParticipants');
+    const shelvesCollection = database.collection('shelves'); // Custom named shelves; books are kept in manual order
+    const followsCollection = database.collection('follows'); // One document per (followerId, followingId), both Firebase UIDs
+    const activitiesCollection = database.collection('activities'); // Activity events, recorded as they happen
+    const notificationsCollection = database.collection('notifications');
+    const auditLogCollection = database.collection('auditLog'); // Moderator and admin actions
+    const reportsCollection = database.collection('reports'); // One document per (targetType, targetId, reporterEmail)
+    const repliesCollection = database.collection('reviewReplies'); // Threaded replies under reviews
+    const reactionsCollection = database.collection('reactions'); // One like or dislike per (targetType, targetId, userEmail)
+    const bookSimilaritiesCollection = database.collection('bookSimilarities'); // Cached "readers also liked" lists, _id = bookId
+    const isbnCacheCollection = database.collection('isbnCache'); // Provider responses, _id = ISBN-13
+    const migrationsCollection = database.collection('migrations'); // Applied migration versions, plus the runner's lock
+
+    // Batch jobs runnable as `node index.js <name>`
+    const commands = {};
+
+
+    // --- Trending scores --- //
+    // Sum the decayed weight of every upvote, review, bookmark and share per book inside the window
+    const computeTrendingScores = async (windowName) => {
+      const { windowMs, halfLifeMs } = trendingWindows[windowName];
+      const now = new Date();
+      const decayedActivity = (weight) => [
+        ...(windowMs ? [{ $match: { createdAt: { $gte: new Date(now.getTime() - windowMs) } } }] : []),
+        { $group: {
+          _id: '$bookId',
+          score: { $sum: { $multiply: [weight, { $exp: { $multiply: [-Math.LN2 / halfLifeMs, { $subtract: [now, '$createdAt'] }] } }] } }
+        } }
+      ];
+
+      const activity = await Promise.all([
+        upvotesCollection.aggregate(decayedActivity(trendingWeights.upvote)).toArray(),
+        reviewsCollection.aggregate([{ $match: notDeleted }, ...decayedActivity(trendingWeights.review)]).toArray(),
+        bookmarksCollection.aggregate(decayedActivity(trendingWeights.bookmark)).toArray(),
+        sharesCollection.aggregate(decayedActivity(trendingWeights.share)).toArray(),
+      ]);
+
+      const scores = new Map();
+      for (const entry of activity.flat()) {
+        if (!entry._id || !entry.score) continue;
+        const key = entry._id.toString();
+        scores.set(key, { bookId: entry._id, score: (scores.get(key)?.score || 0) + entry.score });
+      }
+
+      const books = await booksCollection.find(
+        { _id: { $in: [...scores.values()].map(entry => entry.bookId) }, ...notHidden, ...notDeleted },
+        { projection: { bookCategory: 1 } }
+      ).toArray();
+
+      if (books.length > 0) {
+        await trendingScoresCollection.bulkWrite(books.map(book => ({
+          updateOne: {
+            filter: { window: windowName, bookId: book._id },
+            update: { $set: { score: scores.get(book._id.toString()).score, bookCategory: book.bookCategory, computedAt: now } },
+            upsert: true
+          }
+        })));
+      }
+      // Drop books that had no activity in this run
+      await trendingScoresCollection.deleteMany({ window: windowName, computedAt: { $lt: now } });
+      await trendingRunsCollection.updateOne({ _id: windowName }, { $set: { computedAt: now } }, { upsert: true });
+    };
+
+    // Recompute a window's scores when they are older than TRENDING_REFRESH_MS; concurrent requests share one run
+    const trendingRefreshes = new Map();
+    const ensureFreshTrendingScores = async (windowName) => {
+      const lastRun = await trendingRunsCollection.findOne({ _id: windowName });
+      if (lastRun && Date.now() - lastRun.computedAt.getTime() < TRENDING_REFRESH_MS) return;
+
+      if (!trendingRefreshes.has(windowName)) {
+        trendingRefreshes.set(windowName, computeTrendingScores(windowName).finally(() => trendingRefreshes.delete(windowName)));
+      }
+      await trendingRefreshes.get(windowName);
+    };
+    // --- End trending scores --- //
+
+    // Record an activity event for the followers' feed. Failures are logged but never fail the user's action.
+    // Types: book_added, review, status_change, upvote, bookmark, review_like
+    const recordActivity = async (user, type, details) => {
+      try {
+        await activitiesCollection.insertOne({
+          actorId: user.uid,
+          actorEmail: user.email,
+          actorName: user.name || 'Anonymous',
+          actorPhoto: user.photoURL || '',
+          type: type,
+          ...details,
+          createdAt: new Date(),
+        });
+      } catch (error) {
+        logger.error(`Error recording ${type} activity`, { error });
+      }
+    };
+
+    // Take an action's activity out of followers' feeds when the user undoes it (upvote, bookmark, review like)
+    const retractActivity = async (user, type, details) => {
+      try {
+        await activitiesCollection.deleteMany({ actorId: user.uid, type: type, ...details });
+      } catch (error) {
+        logger.error(`Error retracting ${type} activity`, { error });
+      }
+    };
+
+    // --- Recommendations --- //
+    // Books that share readers with `bookId` through the given collection (bookmarks, high ratings, upvotes)
+    const findCoOccurring = async (collection, bookId, extraFilter, signal) => {
+      const readers = await collection.aggregate([
+        { $match: { bookId: bookId, ...extraFilter } },
+        { $group: { _id: '$userEmail' } },
+        { $limit: 500 },
+      ]).toArray();
+      if (readers.length === 0) return [];
+
+      const related = await collection.aggregate([
+        { $match: { userEmail: { $in: readers.map(reader => reader._id) }, bookId: { $ne: bookId }, ...extraFilter } },
+        { $group: { _id: '$bookId', readers: { $sum: 1 } } },
+        { $sort: { readers: -1 } },
+        { $limit: 100 },
+      ]).toArray();
+      return related.map(entry => ({ bookId: entry._id, signal, score: entry.readers * similaritySignals[signal].weight }));
+    };
+
+    // Score every candidate book against `book` and cache the top SIMILAR_BOOKS_PER_BOOK
+    const computeSimilarBooks = async (book) => {
+      const [coRatings, coBookmarks, coUpvotes, sameAuthor, sameCategory] = await Promise.all([
+        findCoOccurring(ratingsCollection, book._id, { rating: { $gte: 4 } }, 'co_rating'),
+        findCoOccurring(bookmarksCollection, book._id, {}, 'co_bookmark'),
+        findCoOccurring(upvotesCollection, book._id, {}, 'co_upvote'),
+        book.bookAuthor
+          ? booksCollection.find({ bookAuthor: book.bookAuthor, _id: { $ne: book._id }, ...notDeleted }, { projection: { _id: 1 } }).limit(50).toArray()
+          : [],
+        book.bookCategory
+          ? booksCollection.find({ bookCategory: book.bookCategory, _id: { $ne: book._id }, ...notDeleted }, { projection: { _id: 1 } }).sort({ upvote: -1 }).limit(50).toArray()
+          : [],
+      ]);
+
+      const candidates = new Map();
+      const addSignal = ({ bookId, signal, score }) => {
+        const key = bookId.toString();
+        const candidate = candidates.get(key) || { bookId, score: 0, signals: {} };
+        candidate.score += score;
+        candidate.signals[signal] = (candidate.signals[signal] || 0) + score;
+        candidates.set(key, candidate);
+      };
+      [...coRatings, ...coBookmarks, ...coUpvotes].forEach(addSignal);
+      sameAuthor.forEach(related => addSignal({ bookId: related._id, signal: 'same_author', score: similaritySignals.same_author.weight }));
+      sameCategory.forEach(related => addSignal({ bookId: related._id, signal: 'same_category', score: similaritySignals.same_category.weight }));
+
+      const similar = [...candidates.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, SIMILAR_BOOKS_PER_BOOK)
+        .map(candidate => ({
+          bookId: candidate.bookId,
+          score: candidate.score,
+          // The strongest signal explains the match
+          signal: Object.entries(candidate.signals).sort((a, b) => b[1] - a[1])[0][0],
+        }));
+
+      await bookSimilaritiesCollection.updateOne(
+        { _id: book._id },
+        { $set: { similar: similar, computedAt: new Date() } },
+        { upsert: true }
+      );
+      return similar;
+    };
+
+    // Cached similarity lists; missing or stale ones are recomputed, at most `maxRecompute` per call so requests stay fast
+    const getSimilarityLists = async (books, maxRecompute) => {
+      const cached = await bookSimilaritiesCollection.find({ _id: { $in: books.map(book => book._id) } }).toArray();
+      const cachedById = new Map(cached.map(entry => [entry._id.toString(), entry]));
+      const lists = new Map();
+      let recomputed = 0;
+
+      for (const book of books) {
+        const entry = cachedById.get(book._id.toString());
+        const isFresh = entry && Date.now() - entry.computedAt.getTime() < SIMILARITY_REFRESH_MS;
+        if (isFresh || (entry && recomputed >= maxRecompute)) {
+          lists.set(book._id.toString(), entry.similar);
+        } else if (recomputed < maxRecompute) {
+          lists.set(book._id.toString(), await computeSimilarBooks(book));
+          recomputed += 1;
+        }
+      }
+      return lists;
+    };
+
+    // Recompute every book's similarity list in batches
+    commands['recompute-recommendations'] = async () => {
+      const cursor = booksCollection.find(notDeleted, { projection: { bookAuthor: 1, bookCategory: 1 } }).batchSize(100);
+      let processed = 0;
+      for await (const book of cursor) {
+        await computeSimilarBooks(book);
+        processed += 1;
+        if (processed % 100 === 0) logger.info(`Recomputed recommendations for ${processed} books`);
+      }
+      logger.info(`Recomputed recommendations for ${processed} books`);
+    };
+    // --- End recommendations --- //
+
+    // --- Reactions --- //
+    // A user's reaction to a review or reply is one document in `reactions`, so like, dislike and none are the only
+    // possible states. The reaction and the target's likes/dislikes counters change in one transaction.
+    const REACTION_COUNTERS = { like: 'likes', dislike: 'dislikes' };
+    const reactionTargets = {
+      review: { collection: reviewsCollection, legacy: { like: 'reviewLikes', dislike: 'reviewDislikes' }, idField: 'reviewId' },
+      reply: { collection: repliesCollection, legacy: { like: 'replyLikes', dislike: 'replyDislikes' }, idField: 'replyId' },
+    };
+
+    // Until migration 4 has imported the legacy per-reaction collections, a reaction may only exist there, so
+    // lookups fall back to them. Once the migration is recorded the fallback is skipped for good.
+    let legacyReactionsImported = false;
+    const legacyReactionsPending = async () => {
+      if (!legacyReactionsImported) legacyReactionsImported = !!(await migrationsCollection.findOne({ _id: 4 }));
+      return !legacyReactionsImported;
+    };
+
+    // The user's legacy reaction to each target, keyed by target ID; the most recent wins, as in the import
+    const findLegacyReactions = async (targetType, targetIds, userEmail, session) => {
+      const { legacy, idField } = reactionTargets[targetType];
+      const found = new Map();
+      for (const reaction of ['like', 'dislike']) {
+        const docs = await database.collection(legacy[reaction])
+          .find({ [idField]: { $in: targetIds }, userEmail: userEmail }, { session })
+          .toArray();
+        for (const doc of docs) {
+          const previous = found.get(doc[idField].toString());
+          if (!previous || (doc.createdAt || 0) > (previous.createdAt || 0)) {
+            found.set(doc[idField].toString(), { reaction: reaction, createdAt: doc.createdAt });
+          }
+        }
+      }
+      return found;
+    };
+
+    // Toggle a like or dislike. Liking replaces an existing dislike and vice versa; repeating the same reaction
+    // takes it back. Returns whether the reaction is now active and the updated target.
+    const toggleReaction = async ({ targetType, targetId, userEmail, reaction }) => {
+      const { collection: targetCollection, legacy, idField } = reactionTargets[targetType];
+      const key = { targetType: targetType, targetId: targetId, userEmail: userEmail };
+      const checkLegacy = await legacyReactionsPending();
+      const session = client.startSession();
+      try {
+        let active = false;
+        // Concurrent toggles by the same user conflict on the reaction document; withTransaction retries the loser
+        await session.withTransaction(async () => {
+          let existing = await reactionsCollection.findOne(key, { session });
+          if (!existing && checkLegacy) {
+            // Import this one reaction now. The counters already include it, so only the toggle below changes them.
+            const legacyReaction = (await findLegacyReactions(targetType, [targetId], userEmail, session)).get(targetId.toString());
+            if (legacyReaction) {
+              existing = { ...key, reaction: legacyReaction.reaction, createdAt: legacyReaction.createdAt || new Date() };
+              await reactionsCollection.insertOne(existing, { session });
+              for (const name of Object.values(legacy)) {
+                await database.collection(name).deleteMany({ [idField]: targetId, userEmail: userEmail }, { session });
+              }
+            }
+          }
+          const counter = REACTION_COUNTERS[reaction];
+          let inc;
+          if (existing?.reaction === reaction) {
+            await reactionsCollection.deleteOne(key, { session });
+            inc = { [counter]: -1 };
+            active = false;
+          } else if (existing) {
+            await reactionsCollection.updateOne(key, { $set: { reaction: reaction, updatedAt: new Date() } }, { session });
+            inc = { [counter]: 1, [REACTION_COUNTERS[existing.reaction]]: -1 };
+            active = true;
+          } else {
+            await reactionsCollection.insertOne({ ...key, reaction: reaction, createdAt: new Date() }, { session });
+            inc = { [counter]: 1 };
+            active = true;
+          }
+          await targetCollection.updateOne({ _id: targetId }, { $inc: inc }, { session });
+        });
+        return { active, target: await targetCollection.findOne({ _id: targetId }) };
+      } finally {
+        await session.endSession();
+      }
+    };
+
+    // The signed-in user's reaction to each target, keyed by target ID
+    const getReactionStatuses = async (targetType, targetIds, userEmail) => {
+      const reactions = await reactionsCollection
+        .find({ targetType: targetType, targetId: { $in: targetIds }, userEmail: userEmail }, { projection: { targetId: 1, reaction: 1 } })
+        .toArray();
+      const reactionById = new Map(reactions.map(doc => [doc.targetId.toString(), doc.reaction]));
+      const missing = targetIds.filter(targetId => !reactionById.has(targetId.toString()));
+      if (missing.length > 0 && await legacyReactionsPending()) {
+        for (const [targetId, { reaction }] of await findLegacyReactions(targetType, missing, userEmail)) {
+          reactionById.set(targetId, reaction);
+        }
+      }
+      return Object.fromEntries(targetIds.map(targetId => {
+        const reaction = reactionById.get(targetId.toString());
+        return [targetId.toString(), { userLiked: reaction === 'like', userDisliked: reaction === 'dislike' }];
+      }));
+    };
+
+    const MAX_STATUS_IDS = 100;
+    // Parse `?ids=a,b,c` for the batch status endpoints
+    const parseStatusIds = (ids) => {
+      const list = String(ids || '').split(',').map(id => id.trim()).filter(Boolean);
+      if (list.length === 0) return { error: 'ids is required (comma-separated)' };
+      if (list.length > MAX_STATUS_IDS) return { error: `At most ${MAX_STATUS_IDS} ids per request` };
+      const invalid = list.find(id => !ObjectId.isValid(id));
+      if (invalid) return { error: `Invalid ID format: ${invalid}` };
+      return { ids: [...new Set(list)].map(id => new ObjectId(id)) };
+    };
+
+    // Move reactions from the old per-reaction collections (reviewLikes, reviewDislikes, replyLikes, replyDislikes)
+    // into `reactions`. When a user has both, the most recent wins; reactions already in `reactions` are kept.
+    // Imported documents are removed from the old collections so a later run cannot resurrect a retracted reaction.
+    const importLegacyReactions = async (targetType) => {
+      const { legacy, idField } = reactionTargets[targetType];
+      const toReaction = (reaction) => [{ $project: { targetId: `$${idField}`, userEmail: 1, createdAt: 1, reaction: { $literal: reaction } } }];
+      const cursor = database.collection(legacy.like).aggregate([
+        ...toReaction('like'),
+        { $unionWith: { coll: legacy.dislike, pipeline: toReaction('dislike') } },
+        { $sort: { createdAt: -1 } },
+      ]);
+
+      let imported = 0;
+      let batch = [];
+      const flush = async () => {
+        if (batch.length === 0) return;
+        // Newest first with $setOnInsert: the first write for a key wins and existing reactions are never overwritten
+        for (const doc of batch) {
+          await reactionsCollection.updateOne(
+            { targetType: targetType, targetId: doc.targetId, userEmail: doc.userEmail },
+            { $setOnInsert: { reaction: doc.reaction, createdAt: doc.createdAt || new Date() } },
+            { upsert: true }
+          );
+        }
+        for (const reaction of ['like', 'dislike']) {
+          const ids = batch.filter(doc => doc.reaction === reaction).map(doc => doc._id);
+          if (ids.length > 0) await database.collection(legacy[reaction]).deleteMany({ _id: { $in: ids } });
+        }
+        imported += batch.length;
+        batch = [];
+      };
+      for await (const doc of cursor) {
+        batch.push(doc);
+        if (batch.length >= 500) await flush();
+      }
+      await flush();
+      return imported;
+    };
+
+    // Set every target's likes/dislikes to the counts in `reactions`; returns how many targets were corrected
+    const reconcileReactionCounters = async (targetType) => {
+      const { collection } = reactionTargets[targetType];
+      const countOf = (reaction) => ({ $size: { $filter: { input: '$reactions', cond: { $eq: ['$$this.reaction', reaction] } } } });
+      const cursor = collection.aggregate([
+        { $project: { likes: 1, dislikes: 1 } },
+        {
+          $lookup: {
+            from: 'reactions',
+            let: { targetId: '$_id' },
+            pipeline: [
+              { $match: { $expr: { $and: [{ $eq: ['$targetType', targetType] }, { $eq: ['$targetId', '$$targetId'] }] } } },
+              { $project: { _id: 0, reaction: 1 } },
+            ],
+            as: 'reactions',
+          },
+        },
+        { $project: { likes: 1, dislikes: 1, actualLikes: countOf('like'), actualDislikes: countOf('dislike') } },
+        { $match: { $expr: { $or: [{ $ne: ['$likes', '$actualLikes'] }, { $ne: ['$dislikes', '$actualDislikes'] }] } } },
+      ]);
+
+      let corrected = 0;
+      for await (const doc of cursor) {
+        await collection.updateOne({ _id: doc._id }, { $set: { likes: doc.actualLikes, dislikes: doc.actualDislikes } });
+        corrected += 1;
+      }
+      return corrected;
+    };
+
+    // Import legacy reactions, then recompute review and reply counters from `reactions`
+    commands['reconcile-reactions'] = async () => {
+      for (const targetType of Object.keys(reactionTargets)) {
+        const imported = await importLegacyReactions(targetType);
+        const corrected = await reconcileReactionCounters(targetType);
+        logger.info(`Reconciled ${targetType} reactions`, { imported, corrected });
+      }
+    };
+    // --- End reactions --- //
+
+    // --- Rating aggregates --- //
+    // A user has at most one rating per book in `ratings`: a quick rating, or the rating on their review (source 'review').
+    // The book's aggregates are built from these, so a reviewer is never counted twice.
+
+    // Apply rating changes to a book's aggregates; returns the new average and counts for responses
+    const applyRatingChanges = async (bookId, changes) => {
+      const valid = changes
+        .map(change => ({ ...change, rating: Number(change.rating) }))
+        .filter(change => isStarRating(change.rating));
+      const projection = { rating: 1, totalRatings: 1, totalReviews: 1 };
+      const book = valid.length === 0
+        ? await booksCollection.findOne({ _id: bookId }, { projection })
+        : await booksCollection.findOneAndUpdate({ _id: bookId }, ratingStatsUpdate(valid), { returnDocument: 'after', projection });
+      return { averageRating: book?.rating ?? 0, totalRatings: book?.totalRatings ?? 0, totalReviews: book?.totalReviews ?? 0 };
+    };
+
+    // Set a user's rating of a book, or clear it with `rating` null, and fold the change into the book's aggregates.
+    // The previous rating comes back from the same write, so concurrent changes never double-count.
+    const setUserRating = async (bookId, userEmail, rating, source) => {
+      const key = { bookId: bookId, userEmail: userEmail };
+      const now = new Date();
+      const previous = rating === null
+        ? await ratingsCollection.findOneAndDelete(key)
+        : await ratingsCollection.findOneAndUpdate(
+          key,
+          { $set: { rating: rating, source: source, updatedAt: now }, $setOnInsert: { createdAt: now } },
+          { upsert: true, returnDocument: 'before' }
+        );
+      const changes = [];
+      if (previous) changes.push({ rating: previous.rating, delta: -1 });
+      if (rating !== null) changes.push({ rating: rating, delta: 1 });
+      return applyRatingChanges(bookId, changes);
+    };
+
+    // Hide a review from (or show it in) the book's aggregates along with setting its moderation state. Only an
+    // actual change of `hidden` moves the aggregates, and a trashed review is already out of them.
+    const setReviewModeration = async (reviewId, moderation) => {
+      const previous = await reviewsCollection.findOneAndUpdate({ _id: reviewId }, { $set: { moderation: moderation } });
+      if (!previous || previous.deletedAt || !!previous.moderation?.hidden === moderation.hidden) return;
+
+      await booksCollection.updateOne({ _id: previous.bookId }, { $inc: { totalReviews: moderation.hidden ? -1 : 1 } });
+      await setUserRating(previous.bookId, previous.userEmail, moderation.hidden ? null : previous.rating, 'review');
+    };
+
+    // Rebuild every book's rating aggregates: copy review ratings into `ratings` (the review wins over a quick rating),
+    // then recompute ratingStats from `ratings` and totalReviews from `reviews`. Hidden reviews count for neither.
+    commands['backfill-ratings'] = async () => {
+      const reviewCounts = new Map();
+      const reviews = reviewsCollection.find(notDeleted, { projection: { bookId: 1, userEmail: 1, rating: 1, createdAt: 1, moderation: 1 } }).batchSize(1000);
+      for await (const review of reviews) {
+        if (review.moderation?.hidden) {
+          await ratingsCollection.deleteOne({ bookId: review.bookId, userEmail: review.userEmail });
+          continue;
+        }
+        const key = review.bookId.toString();
+        reviewCounts.set(key, (reviewCounts.get(key) || 0) + 1);
+        const rating = Number(review.rating);
+        if (!isStarRating(rating)) continue;
+        await ratingsCollection.updateOne(
+          { bookId: review.bookId, userEmail: review.userEmail },
+          { $set: { rating: rating, source: 'review', updatedAt: new Date() }, $setOnInsert: { createdAt: review.createdAt || new Date() } },
+          { upsert: true }
+        );
+      }
+
+      const ratingsByBook = new Map();
+      const ratings = ratingsCollection.find({}, { projection: { bookId: 1, rating: 1 } }).batchSize(1000);
+      for await (const doc of ratings) {
+        const rating = Number(doc.rating);
+        if (!isStarRating(rating)) continue;
+        const key = doc.bookId.toString();
+        if (!ratingsByBook.has(key)) ratingsByBook.set(key, []);
+        ratingsByBook.get(key).push(rating);
+      }
+
+      let processed = 0;
+      const books = booksCollection.find({}, { projection: { _id: 1 } }).batchSize(500);
+      for await (const book of books) {
+        const key = book._id.toString();
+        const ratingStats = buildRatingStats(ratingsByBook.get(key) || []);
+        await booksCollection.updateOne({ _id: book._id }, [
+          { $set: { ratingStats: { $literal: ratingStats }, totalReviews: reviewCounts.get(key) || 0 } },
+          { $set: ratingDerivedFields },
+        ]);
+        processed += 1;
+        if (processed % 500 === 0) logger.info(`Backfilled ratings for ${processed} books`);
+      }
+      logger.info(`Backfilled ratings for ${processed} books`);
+    };
+    // --- End rating aggregates --- //
+
+    // --- Deletion --- //
+    // Remove the reactions on reviews or replies, including any left in the legacy per-reaction collections
+    const deleteReactionsFor = async (targetType, targetIds) => {
+      if (targetIds.length === 0) return;
+      const { legacy, idField } = reactionTargets[targetType];
+      await reactionsCollection.deleteMany({ targetType: targetType, targetId: { $in: targetIds } });
+      await database.collection(legacy.like).deleteMany({ [idField]: { $in: targetIds } });
+      await database.collection(legacy.dislike).deleteMany({ [idField]: { $in: targetIds } });
+    };
+
+    // Remove matching replies together with their likes and dislikes
+    const deleteRepliesWhere = async (query) => {
+      const replyIds = (await repliesCollection.find(query, { projection: { _id: 1 } }).toArray()).map(reply => reply._id);
+      if (replyIds.length === 0) return;
+      await repliesCollection.deleteMany({ _id: { $in: replyIds } });
+      await deleteReactionsFor('reply', replyIds);
+    };
+
+    // Permanently remove a book together with everything that references it
+    const deleteBookCascade = async (bookId) => {
+      const reviewIds = (await reviewsCollection.find({ bookId: bookId }, { projection: { _id: 1 } }).toArray()).map(review => review._id);
+
+      await booksCollection.deleteOne({ _id: bookId });
+
+      await reviewsCollection.deleteMany({ bookId: bookId });
+      await deleteReactionsFor('review', reviewIds);
+      await deleteRepliesWhere({ bookId: bookId });
+      await bookmarksCollection.deleteMany({ bookId: bookId });
+      await ratingsCollection.deleteMany({ bookId: bookId });
+      await upvotesCollection.deleteMany({ bookId: bookId });
+      await sharesCollection.deleteMany({ bookId: bookId });
+      await trendingScoresCollection.deleteMany({ bookId: bookId });
+      await readingProgressCollection.deleteMany({ bookId: bookId });
+      await shelvesCollection.updateMany({ 'books.bookId': bookId }, { $pull: { books: { bookId: bookId } } });
+      await activitiesCollection.deleteMany({ bookId: bookId });
+      await notificationsCollection.deleteMany({ bookId: bookId });
+      await bookSimilaritiesCollection.deleteOne({ _id: bookId });
+      await reportsCollection.deleteMany({ $or: [{ targetType: 'book', targetId: bookId }, { targetType: 'review', targetId: { $in: reviewIds } }] });
+    };
+
+    // Permanently remove a trashed review with its reports, reactions, replies and the activity about it.
+    // The book's aggregates are not touched: they dropped the review when it went to the trash.
+    const purgeReview = async (review) => {
+      const removed = await reviewsCollection.findOneAndDelete({ _id: review._id, deletedAt: { $ne: null } });
+      if (!removed) return false;
+
+      await reportsCollection.deleteMany({ targetType: 'review', targetId: review._id });
+      await deleteReactionsFor('review', [review._id]);
+      await deleteRepliesWhere({ reviewId: review._id });
+      await activitiesCollection.deleteMany({ reviewId: review._id });
+      await notificationsCollection.deleteMany({ reviewId: review._id });
+      return true;
+    };
+    // --- End deletion --- //
+
+    // --- Trash --- //
+    // Deleting a book or review stamps it with deletedAt, which hides it everywhere (see notDeleted), and purgeAt,
+    // after which purge-trash removes it for good. The feed entries and notifications about it get the same
+    // deletedAt, so a restore brings back exactly what was hidden with it.
+    const trashStamp = (user) => {
+      const deletedAt = new Date();
+      return { deletedAt: deletedAt, purgeAt: new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS), deletedBy: user.email };
+    };
+
+    const setActivityDeletedAt = async (query, from, to) => {
+      const update = to ? { $set: { deletedAt: to } } : { $unset: { deletedAt: '' } };
+      await activitiesCollection.updateMany({ ...query, deletedAt: from }, update);
+      await notificationsCollection.updateMany({ ...query, deletedAt: from }, update);
+    };
+
+    // A trashed book takes its reviews along. They get no purgeAt of their own: they come back with the book,
+    // or are purged with it.
+    const trashBook = async (book, user) => {
+      const stamp = trashStamp(user);
+      const trashed = await booksCollection.findOneAndUpdate({ _id: book._id, ...notDeleted }, { $set: stamp }, { returnDocument: 'after' });
+      if (!trashed) return null;
+
+      await reviewsCollection.updateMany({ bookId: book._id, ...notDeleted }, { $set: { deletedAt: stamp.deletedAt } });
+      await setActivityDeletedAt({ bookId: book._id }, null, stamp.deletedAt);
+      return trashed;
+    };
+
+    const restoreBook = async (book) => {
+      const restored = await booksCollection.findOneAndUpdate(
+        { _id: book._id, deletedAt: book.deletedAt },
+        { $unset: { deletedAt: '', purgeAt: '', deletedBy: '' } },
+        { returnDocument: 'after' }
+      );
+      if (!restored) return null;
+
+      await reviewsCollection.updateMany({ bookId: book._id, deletedAt: book.deletedAt, purgeAt: null }, { $unset: { deletedAt: '' } });
+      await setActivityDeletedAt({ bookId: book._id }, book.deletedAt, null);
+      return restored;
+    };
+
+    // Take a review out of its book's aggregates and into the trash (its rating goes with it)
+    const trashReview = async (review, user) => {
+      const stamp = trashStamp(user);
+      const trashed = await reviewsCollection.findOneAndUpdate({ _id: review._id, ...notDeleted }, { $set: stamp });
+      if (!trashed) return null;
+
+      await setActivityDeletedAt({ reviewId: review._id }, null, stamp.deletedAt);
+      // A hidden review already left the aggregates when it was hidden
+      if (trashed.moderation?.hidden) return applyRatingChanges(review.bookId, []);
+      await booksCollection.updateOne({ _id: review.bookId }, { $inc: { totalReviews: -1 } });
+      return setUserRating(review.bookId, review.userEmail, null);
+    };
+
+    // Put a review and its rating back; the rating replaces any quick rating given in the meantime
+    const restoreReview = async (review) => {
+      const restored = await reviewsCollection.findOneAndUpdate(
+        { _id: review._id, deletedAt: review.deletedAt },
+        { $unset: { deletedAt: '', purgeAt: '', deletedBy: '' } },
+        { returnDocument: 'after' }
+      );
+      if (!restored) return null;
+
+      await setActivityDeletedAt({ reviewId: review._id }, review.deletedAt, null);
+      if (restored.moderation?.hidden) {
+        const { averageRating, totalReviews } = await applyRatingChanges(review.bookId, []);
+        return { review: restored, averageRating: averageRating, totalReviews: totalReviews };
+      }
+      await booksCollection.updateOne({ _id: review.bookId }, { $inc: { totalReviews: 1 } });
+      const { averageRating, totalReviews } = await setUserRating(review.bookId, review.userEmail, review.rating, 'review');
+      return { review: restored, averageRating: averageRating, totalReviews: totalReviews };
+    };
+
+    // Hard-delete every book and review whose retention period is over
+    const purgeExpiredTrash = async () => {
+      const expired = { purgeAt: { $lte: new Date() } };
+      let books = 0;
+      for (const book of await booksCollection.find(expired, { projection: { _id: 1 } }).toArray()) {
+        await deleteBookCascade(book._id);
+        books += 1;
+      }
+      let reviews = 0;
+      for (const review of await reviewsCollection.find(expired, { projection: { _id: 1 } }).toArray()) {
+        if (await purgeReview(review)) reviews += 1;
+      }
+      return { books, reviews };
+    };
+
+    commands['purge-trash'] = async () => {
+      const { books, reviews } = await purgeExpiredTrash();
+      logger.info(`Purged ${books} books and ${reviews} reviews from the trash`);
+    };
+    // --- End trash --- //
+
+    // --- Migrations --- //
+    // Indexes the queries rely on. They are created at startup and again after every migration run; createIndex is
+    // a no-op when the index already exists.
+    const indexes = [
+      // Text index used by /api/books/search; title is weighted above author, category and overview
+      [booksCollection, { bookTitle: 'text', bookAuthor: 'text', bookCategory: 'text', bookOverview: 'text' },
+        { name: 'books_text_search', weights: { bookTitle: 10, bookAuthor: 5, bookCategory: 3, bookOverview: 1 } }],
+      [booksCollection, { userEmail: 1, createdAt: -1 }],
+      [booksCollection, { createdAt: -1 }],
+      [booksCollection, { upvote: -1 }],
+      [booksCollection, { bayesianRating: -1, totalRatings: -1, _id: -1 }],
+      [bookmarksCollection, { userEmail: 1, createdAt: -1 }],
+      [reviewsCollection, { bookId: 1, createdAt: -1 }],
+      [reviewsCollection, { userEmail: 1, createdAt: -1 }],
+      // Trash listings and the purge job
+      [booksCollection, { deletedBy: 1, deletedAt: -1 }, { sparse: true }],
+      [booksCollection, { purgeAt: 1 }, { sparse: true }],
+      [reviewsCollection, { deletedBy: 1, deletedAt: -1 }, { sparse: true }],
+      [reviewsCollection, { purgeAt: 1 }, { sparse: true }],
+      [ratingsCollection, { userEmail: 1, updatedAt: -1 }],
+      [upvotesCollection, { userEmail: 1, createdAt: -1 }],
+      // Shares recorded before sharers were tracked have no `sharer` and are left out
+      [sharesCollection, { bookId: 1, sharer: 1 }, { unique: true, partialFilterExpression: { sharer: { $exists: true } } }],
+      [reactionsCollection, { targetType: 1, targetId: 1, userEmail: 1 }, { unique: true }],
+      [repliesCollection, { reviewId: 1, parentId: 1, createdAt: 1 }],
+      [trendingScoresCollection, { window: 1, bookCategory: 1, score: -1 }],
+      [readingGoalsCollection, { userEmail: 1, year: 1 }, { unique: true }],
+      [challengeParticipantsCollection, { challengeId: 1, userEmail: 1 }, { unique: true }],
+      [shelvesCollection, { userEmail: 1, nameKey: 1 }, { unique: true }],
+      [followsCollection, { followingId: 1, createdAt: -1 }],
+      [activitiesCollection, { actorId: 1, createdAt: -1 }],
+      [notificationsCollection, { recipientEmail: 1, createdAt: -1 }],
+      [auditLogCollection, { createdAt: -1 }],
+      [reportsCollection, { targetType: 1, targetId: 1, reporterEmail: 1 }, { unique: true }],
+      [reportsCollection, { status: 1, createdAt: -1 }],
+      [isbnCacheCollection, { expiresAt: 1 }, { expireAfterSeconds: 0 }],
+    ];
+    // Unique indexes over data that may hold duplicates from before they existed. They wait for migration 3
+    // (dedupe-before-unique-indexes), since a duplicate makes createIndex fail.
+    const dedupedIndexes = [
+      [bookmarksCollection, { bookId: 1, userEmail: 1 }, { unique: true }],
+      [reviewsCollection, { bookId: 1, userEmail: 1 }, { unique: true }],
+      [ratingsCollection, { bookId: 1, userEmail: 1 }, { unique: true }],
+      [upvotesCollection, { bookId: 1, userEmail: 1 }, { unique: true }],
+      [readingProgressCollection, { bookId: 1, userEmail: 1 }, { unique: true }],
+      [followsCollection, { followerId: 1, followingId: 1 }, { unique: true }],
+    ];
+
+    // Create every declared index, the deduped ones once migration 3 has run. One failure (e.g. duplicates blocking
+    // a unique index) does not stop the rest. Returns how many failed.
+    const ensureIndexes = async () => {
+      const deduped = !!(await migrationsCollection.findOne({ _id: 3 }));
+      let failed = 0;
+      for (const [collection, keys, options = {}] of deduped ? [...indexes, ...dedupedIndexes] : indexes) {
+        try {
+          await nonStrictDatabase.collection(collection.collectionName).createIndex(keys, options);
+        } catch (error) {
+          failed += 1;
+          logger.error(`Error creating index on ${collection.collectionName}`, { error, keys });
+        }
+      }
+      return failed;
+    };
+
+    // Groups of documents sharing `keys`, each listed in `sort` order so the first one is the one to keep
+    const findDuplicates = (collection, keys, sort) => collection.aggregate([
+      { $sort: sort },
+      { $group: { _id: Object.fromEntries(keys.map(key => [key, `$${key}`])), ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+    ], { allowDiskUse: true });
+
+    // Keep the newest document per key and delete the rest; returns the deleted IDs
+    const dedupe = async (collection, keys, sort = { createdAt: -1, _id: -1 }) => {
+      const removed = [];
+      for await (const group of findDuplicates(collection, keys, sort)) {
+        const extra = group.ids.slice(1);
+        await collection.deleteMany({ _id: { $in: extra } });
+        removed.push(...extra);
+      }
+      if (removed.length > 0) logger.info(`Removed ${removed.length} duplicate ${collection.collectionName} documents`, { keys });
+      return removed;
+    };
+
+    // Convert a numeric field stored as a string; values that are not numbers become null
+    const numericFromString = (collection, field) => collection.updateMany(
+      { [field]: { $type: 'string' } },
+      [{ $set: { [field]: { $convert: { input: { $trim: { input: `$${field}` } }, to: 'double', onError: null, onNull: null } } } }]
+    );
+
+    // Versioned data migrations, applied once each in order. Each must be safe to re-run, since a crash between
+    // finishing one and recording it would run it again.
+    const migrations = [
+      {
+        version: 1,
+        name: 'normalize-rating-types',
+        up: async () => {
+          await numericFromString(reviewsCollection, 'rating');
+          await numericFromString(ratingsCollection, 'rating');
+          await numericFromString(booksCollection, 'rating');
+        },
+      },
+      {
+        version: 2,
+        name: 'normalize-book-upvotes',
+        up: async () => {
+          // Missing or malformed voter lists become empty, so the upvote guards ($ne / $addToSet / $pull) work
+          await booksCollection.updateMany({ upvotedBy: { $not: { $type: 'array' } } }, { $set: { upvotedBy: [] } });
+          await booksCollection.updateMany({ upvotedBy: { $type: 'array' } }, [{ $set: { upvotedBy: { $setUnion: ['$upvotedBy', []] } } }]);
+          await numericFromString(booksCollection, 'upvote');
+          // Counts from before voters were tracked are kept; a missing count is the number of voters
+          await booksCollection.updateMany({ upvote: { $not: { $type: 'number' } } }, [{ $set: { upvote: { $size: '$upvotedBy' } } }]);
+          await numericFromString(booksCollection, 'totalPage');
+          await booksCollection.updateMany({ shares: { $exists: false } }, { $set: { shares: 0 } });
+        },
+      },
+      {
+        version: 3,
+        name: 'dedupe-before-unique-indexes',
+        up: async () => {
+          // A duplicate review takes its replies, reactions and reports with it; the rating backfill below fixes the aggregates
+          const reviewIds = await dedupe(reviewsCollection, ['bookId', 'userEmail'], { updatedAt: -1, createdAt: -1, _id: -1 });
+          if (reviewIds.length > 0) {
+            await deleteRepliesWhere({ reviewId: { $in: reviewIds } });
+            await reactionsCollection.deleteMany({ targetType: 'review', targetId: { $in: reviewIds } });
+            await reportsCollection.deleteMany({ targetType: 'review', targetId: { $in: reviewIds } });
+          }
+          await dedupe(bookmarksCollection, ['bookId', 'userEmail']);
+          await dedupe(ratingsCollection, ['bookId', 'userEmail'], { updatedAt: -1, createdAt: -1, _id: -1 });
+          await dedupe(upvotesCollection, ['bookId', 'userEmail']);
+          await dedupe(readingProgressCollection, ['bookId', 'userEmail'], { updatedAt: -1, _id: -1 });
+          await dedupe(followsCollection, ['followerId', 'followingId']);
+        },
+      },
+      {
+        version: 4,
+        name: 'import-legacy-reactions',
+        up: () => commands['reconcile-reactions'](),
+      },
+      {
+        version: 5,
+        name: 'backfill-rating-aggregates',
+        up: () => commands['backfill-ratings'](),
+      },
+      {
+        version: 6,
+        name: 'store-legacy-finish-dates',
+        // Books marked Read before progress tracking have no finish date. Their last edit is the best guess, so it is
+        // copied once; later edits must not move the read into another goal or challenge year.
+        up: () => booksCollection.updateMany(
+          { readingStatus: 'Read', finishedAt: { $exists: false } },
+          [{ $set: { finishedAt: { $ifNull: ['$updatedAt', '$createdAt'] } } }]
+        ),
+      },
+    ];
+
+    const MIGRATION_LOCK_MS = 15 * 60 * 1000;
+    const MIGRATION_LOCK_RENEW_MS = 60 * 1000;
+    // Only one process migrates at a time. The lock expires, so a crashed run cannot block later ones forever.
+    const acquireMigrationLock = async (owner) => {
+      const now = new Date();
+      const lock = { owner: owner, pid: process.pid, lockedAt: now, expiresAt: new Date(now.getTime() + MIGRATION_LOCK_MS) };
+      try {
+        await migrationsCollection.insertOne({ _id: 'lock', ...lock });
+        return true;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        const taken = await migrationsCollection.findOneAndUpdate({ _id: 'lock', expiresAt: { $lt: now } }, { $set: lock });
+        return !!taken;
+      }
+    };
+
+    // Apply pending migrations, then ensure indexes. Returns false when another process holds the lock.
+    const runMigrations = async () => {
+      const owner = crypto.randomUUID();
+      if (!(await acquireMigrationLock(owner))) {
+        logger.info('Migrations are already running in another process');
+        return false;
+      }
+      // A single migration (the rating backfill on a large library) can outlast the lock, so it is renewed while we run
+      const renewal = setInterval(() => {
+        migrationsCollection.updateOne({ _id: 'lock', owner: owner }, { $set: { expiresAt: new Date(Date.now() + MIGRATION_LOCK_MS) } })
+          .then(result => {
+            if (result.matchedCount === 0) logger.warn('Lost the migration lock while migrating');
+          })
+          .catch(error => logger.error('Error renewing the migration lock', { error }));
+      }, MIGRATION_LOCK_RENEW_MS);
+      try {
+        const applied = new Set((await migrationsCollection.find({ version: { $exists: true } }, { projection: { version: 1 } }).toArray())
+          .map(doc => doc.version));
+        for (const migration of migrations) {
+          if (applied.has(migration.version)) continue;
+          logger.info(`Applying migration ${migration.version} ${migration.name}`);
+          const startedAt = Date.now();
+          await migration.up();
+          await migrationsCollection.insertOne({ _id: migration.version, version: migration.version, name: migration.name, appliedAt: new Date(), durationMs: Date.now() - startedAt });
+        }
+        const failedIndexes = await ensureIndexes();
+        logger.info('Migrations complete', { version: migrations[migrations.length - 1].version, failedIndexes });
+        return true;
+      } finally {
+        clearInterval(renewal);
+        await migrationsCollection.deleteOne({ _id: 'lock', owner: owner });
+      }
+    };
+
+    commands.migrate = async () => {
+      if (!(await runMigrations())) {
+        throw new Error('Another process holds the migration lock; try again when it finishes');
+      }
+    };
+    // --- End migrations --- //
+
+    // --- Reports --- //
+    const reportTargets = {
+      book: { collection: booksCollection, ownerField: 'userEmail' },
+      review: { collection: reviewsCollection, ownerField: 'userEmail' },
+    };
+
+    // File a report against a book or review; hides the item once it reaches REPORT_HIDE_THRESHOLD open reports
+    const submitReport = async (req, res, targetType, targetId) => {
+      const { reason, note } = req.body;
+      if (!REPORT_REASONS.includes(reason)) {
+        return sendError(res, 400, `reason must be one of: ${REPORT_REASONS.join(', ')}`);
+      }
+      if (note !== undefined && (typeof note !== 'string' || note.length > 1000)) {
+        return sendError(res, 400, 'note must be a string of at most 1000 characters');
+      }
+
+      const { collection, ownerField } = reportTargets[targetType];
+      const target = await collection.findOne({ _id: targetId, ...notDeleted });
+      if (!target) {
+        return sendError(res, 404, `${targetType === 'book' ? 'Book' : 'Review'} not found`);
+      }
+      if (target[ownerField] === req.user.email) {
+        return sendError(res, 400, `You can't report your own ${targetType}`);
+      }
+
+      const reportKey = { targetType: targetType, targetId: targetId, reporterEmail: req.user.email };
+      const report = { reason: reason, note: note || '', status: 'open', createdAt: new Date() };
+      const result = await reportsCollection.updateOne(reportKey, { $setOnInsert: report }, { upsert: true });
+      if (result.upsertedCount === 0) {
+        // A repeated report (e.g. a retry) already counts; answer with the one on file instead of an error
+        const existing = await reportsCollection.findOne(reportKey, { projection: { _id: 0, reason: 1, note: 1, status: 1, createdAt: 1 } });
+        return res.status(200).json({ message: `You have already reported this ${targetType}`, report: existing });
+      }
+
+      const updated = await collection.findOneAndUpdate(
+        { _id: targetId },
+        { $inc: { reportCount: 1 } },
+        { returnDocument: 'after' }
+      );
+      if (updated && updated.reportCount >= REPORT_HIDE_THRESHOLD && !updated.moderation?.hidden) {
+        const moderation = { hidden: true, reason: 'reports', at: new Date() };
+        if (targetType === 'review') await setReviewModeration(targetId, moderation);
+        else await collection.updateOne({ _id: targetId }, { $set: { moderation: moderation } });
+      }
+
+      res.status(201).json({ message: 'Report submitted. Thank you for helping keep the community safe.', report: report });
+    };
+    // --- End reports --- //
+
+    // --- Notifications --- //
+    // Open Server-Sent Events connections per recipient email (this server instance only)
+    const notificationStreams = new Map();
+
+    const sendToStreams = (recipientEmail, event, data) => {
+      const streams = notificationStreams.get(recipientEmail);
+      if (!streams) return;
+      for (const stream of streams) {
+        stream.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    const notificationMessages = {
+      review: (actorName, bookTitle) => `${actorName} reviewed your book "${bookTitle}"`,
+      review_like: (actorName, bookTitle) => `${actorName} liked your review of "${bookTitle}"`,
+      review_dislike: (actorName, bookTitle) => `${actorName} disliked your review of "${bookTitle}"`,
+      upvote: (actorName, bookTitle) => `${actorName} upvoted your book "${bookTitle}"`,
+    };
+
+    // Notify the owner of a book or review about someone else's action, unless they switched that type off.
+    // Failures are logged but never fail the actor's request.
+    const notify = async (recipientEmail, actor, type, { bookId, bookTitle, reviewId }) => {
+      try {
+        if (!recipientEmail || recipientEmail === actor.email) return;
+
+        const recipient = await usersCollection.findOne({ email: recipientEmail }, { projection: { notificationPreferences: 1 } });
+        if (recipient && recipient.notificationPreferences && recipient.notificationPreferences[type] === false) return;
+
+        const actorName = actor.name || 'Someone';
+        // What the recipient sees; stored together with recipientEmail
+        const payload = {
+          type: type,
+          actor: { name: actorName, photo: actor.photoURL || '' },
+          bookId: bookId,
+          bookTitle: bookTitle || '',
+          reviewId: reviewId || null,
+          message: notificationMessages[type](actorName, bookTitle || 'a book'),
+          read: false,
+          createdAt: new Date(),
+        };
+        const result = await notificationsCollection.insertOne({ recipientEmail: recipientEmail, ...payload });
+
+        if (notificationStreams.has(recipientEmail)) {
+          sendToStreams(recipientEmail, 'notification', { _id: result.insertedId, ...payload });
+          const unreadCount = await notificationsCollection.countDocuments({ recipientEmail: recipientEmail, read: false, ...notDeleted });
+          sendToStreams(recipientEmail, 'unread-count', { unreadCount });
+        }
+      } catch (error) {
+        logger.error(`Error creating ${type} notification`, { error });
+      }
+    };
+    // --- End notifications --- //
+
+    // Record a moderator action in the audit trail
+    const recordAudit = async (actor, action, targetType, targetId, details = {}) => {
+      await auditLogCollection.insertOne({
+        actorId: actor.uid,
+        actorEmail: actor.email,
+        actorRole: actor.role,
+        action: action,
+        targetType: targetType,
+        targetId: targetId,
+        details: details,
+        createdAt: new Date(),
+      });
+    };
+
+    // --- Reading progress --- //
+    // Apply a status change and/or a page/percent update to a user's progress on a book.
+    // Each read-through is a session: moving to Reading opens one (a re-read after Read opens a new one),
+    // moving to Read closes it, and moving back to Want-to-Read abandons it. Every change is kept in history.
+    const recordReadingProgress = async (book, user, { status, currentPage, percent, totalPages }) => {
+      const userEmail = user.email;
+      const key = { bookId: book._id, userEmail: userEmail };
+      try {
+        await readingProgressCollection.updateOne(key, {
+          $setOnInsert: {
+            status: null,
+            currentPage: 0,
+            percent: 0,
+            totalPages: parseInt(book.totalPage) || null,
+            readCount: 0,
+            sessions: [],
+            history: [],
+            createdAt: new Date(),
+          },
+        }, { upsert: true });
+      } catch (error) {
+        if (error.code !== 11000) throw error; // A concurrent request created it first
+      }
+
+      // Each attempt is one atomic update. A status change is computed from the stored status and sessions, so its
+      // update only applies while they are unchanged; when another request got there first, it is worked out again.
+      for (let attempt = 1; ; attempt += 1) {
+        const stored = await readingProgressCollection.findOne(key);
+        const now = new Date();
+        const next = { currentPage: stored.currentPage, percent: stored.percent, totalPages: stored.totalPages };
+        const update = { $set: { updatedAt: now }, $push: {} };
+
+        if (totalPages !== undefined) next.totalPages = totalPages;
+        if (currentPage !== undefined) {
+          next.currentPage = next.totalPages ? Math.min(currentPage, next.totalPages) : currentPage;
+          if (next.totalPages) next.percent = Math.round((next.currentPage / next.totalPages) * 100);
+        } else if (percent !== undefined) {
+          next.percent = percent;
+          if (next.totalPages) next.currentPage = Math.round((percent / 100) * next.totalPages);
+        }
+
+        // Logging progress without a status implies one: any progress means Reading, reaching the end means Read
+        let nextStatus = status;
+        if (nextStatus === undefined && (currentPage !== undefined || percent !== undefined)) {
+          nextStatus = next.percent >= 100 ? 'Read' : 'Reading';
+        }
+
+        const openSessionIndex = stored.sessions.findIndex(session => !session.finishedAt && !session.abandonedAt);
+        const statusChanged = nextStatus !== undefined && nextStatus !== stored.status;
+
+        if (statusChanged) {
+          if (nextStatus === 'Reading' && openSessionIndex === -1) {
+            // Starting over after finishing is a re-read, unless a page was logged with this change
+            if (stored.status === 'Read' && currentPage === undefined && percent === undefined) {
+              next.currentPage = 0;
+              next.percent = 0;
+            }
+            update.$push.sessions = { startedAt: now, finishedAt: null };
+          } else if (nextStatus === 'Read') {
+            if (openSessionIndex !== -1) update.$set[`sessions.${openSessionIndex}.finishedAt`] = now;
+            else update.$push.sessions = { startedAt: now, finishedAt: now };
+            update.$inc = { readCount: 1 };
+            next.percent = 100;
+            if (next.totalPages) next.currentPage = next.totalPages;
+          } else if (nextStatus === 'Want-to-Read' && openSessionIndex !== -1) {
+            update.$set[`sessions.${openSessionIndex}.abandonedAt`] = now;
+          }
+          update.$set.status = nextStatus;
+        }
 
+        Object.assign(update.$set, next);
+        update.$push.history = {
+          status: statusChanged ? nextStatus : stored.status,
+          currentPage: next.currentPage,
+          percent: next.percent,
+          statusChanged: statusChanged,
+          at: now,
+        };
+
+        const filter = statusChanged
+          ? { _id: stored._id, status: stored.status, sessions: { $size: stored.sessions.length } }
+          : { _id: stored._id };
+        const progress = await readingProgressCollection.findOneAndUpdate(filter, update, { returnDocument: 'after' });
+        if (!progress) {
+          if (attempt >= 5) throw new Error('Reading progress kept changing during the update');
+          continue;
+        }
+
+        // The book's own readingStatus reflects its owner's progress
+        if (statusChanged && book.userEmail === userEmail && book.readingStatus !== progress.status) {
+          await booksCollection.updateOne({ _id: book._id }, { $set: { readingStatus: progress.status, updatedAt: now } });
+        }
+        if (statusChanged) {
+          await recordActivity(user, 'status_change', { bookId: book._id, bookTitle: book.bookTitle, status: progress.status });
+        }
+
+        return progress;
+      }
+    };
+    // --- End reading progress --- //
+
+    // --- Goals and challenges --- //
+    // Every read-through finished between `from` and `to` (a re-read counts again), optionally limited to a category
+    const findFinishedReads = async (userEmails, from, to, bookCategory) => {
+      const progressDocs = await readingProgressCollection.find({
+        userEmail: { $in: userEmails },
+        sessions: { $elemMatch: { finishedAt: { $gte: from, $lt: to } } }
+      }).toArray();
+
+      const reads = progressDocs.flatMap(progress => progress.sessions
+        .filter(session => session.finishedAt && session.finishedAt >= from && session.finishedAt < to)
+        .map(session => ({ userEmail: progress.userEmail, bookId: progress.bookId, finishedAt: session.finishedAt, totalPages: progress.totalPages || 0 })));
+
+      // Books marked Read before progress tracking existed only have the readingStatus on the book, and the finish date
+      // migration 6 stored
+      const legacyBooks = await booksCollection.find({
+        userEmail: { $in: userEmails },
+        readingStatus: 'Read',
+        finishedAt: { $gte: from, $lt: to },
+        ...notDeleted,
+      }).toArray();
+      const trackedByOwner = await readingProgressCollection.find(
+        { bookId: { $in: legacyBooks.map(book => book._id) } },
+        { projection: { bookId: 1, userEmail: 1 } }
+      ).toArray();
+      const trackedKeys = new Set(trackedByOwner.map(progress => `${progress.bookId}:${progress.userEmail}`));
+      reads.push(...legacyBooks
+        .filter(book => !trackedKeys.has(`${book._id}:${book.userEmail}`))
+        .map(book => ({ userEmail: book.userEmail, bookId: book._id, finishedAt: book.finishedAt, totalPages: parseInt(book.totalPage) || 0 })));
+
+      const books = await booksCollection.find(
+        { _id: { $in: reads.map(read => read.bookId) }, ...notDeleted },
+        { projection: { bookTitle: 1, bookCategory: 1 } }
+      ).toArray();
+      const booksById = new Map(books.map(book => [book._id.toString(), book]));
+
+      return reads
+        .filter(read => booksById.has(read.bookId.toString()))
+        .filter(read => !bookCategory || booksById.get(read.bookId.toString()).bookCategory === bookCategory)
+        .map(read => ({ ...read, bookTitle: booksById.get(read.bookId.toString()).bookTitle }));
+    };
+
+    // Goal progress with pace: how many books the reader should have finished by today to hit the target
+    const computeGoalProgress = async (goal) => {
+      const from = new Date(goal.year, 0, 1);
+      const to = new Date(goal.year + 1, 0, 1);
+      const reads = await findFinishedReads([goal.userEmail], from, to);
+      const booksRead = reads.length;
+      const pagesRead = reads.reduce((sum, read) => sum + read.totalPages, 0);
+
+      const now = Date.now();
+      const yearElapsed = Math.min(Math.max((now - from) / (to - from), 0), 1);
+      const expected = goal.targetBooks * yearElapsed;
+      const difference = Math.round((booksRead - expected) * 10) / 10;
+      const weeksLeft = Math.max((to - now) / (7 * DAY_MS), 0);
+      const booksLeft = Math.max(goal.targetBooks - booksRead, 0);
+
+      return {
+        year: goal.year,
+        targetBooks: goal.targetBooks,
+        targetPages: goal.targetPages || null,
+        booksRead,
+        pagesRead,
+        percentComplete: Math.min(Math.round((booksRead / goal.targetBooks) * 100), 100),
+        pagesPercentComplete: goal.targetPages ? Math.min(Math.round((pagesRead / goal.targetPages) * 100), 100) : null,
+        completed: booksRead >= goal.targetBooks,
+        pace: {
+          expectedByNow: Math.round(expected * 10) / 10,
+          difference,
+          status: Math.abs(difference) < 0.5 ? 'on-track' : difference > 0 ? 'ahead' : 'behind',
+          booksNeededPerWeek: booksLeft > 0 && weeksLeft > 0 ? Math.round((booksLeft / weeksLeft) * 10) / 10 : 0,
+        },
+        books: reads.sort((a, b) => b.finishedAt - a.finishedAt).map(read => ({ bookId: read.bookId, bookTitle: read.bookTitle, finishedAt: read.finishedAt })),
+        updatedAt: goal.updatedAt,
+      };
+    };
+    // --- End goals and challenges --- //
+
+    // --- Shelves --- //
+    const findBooksInOrder = async (bookIds) => {
+      const books = await booksCollection.find({ _id: { $in: bookIds }, ...notDeleted }).toArray();
+      const booksById = new Map(books.map(book => [book._id.toString(), book]));
+      return bookIds.map(bookId => booksById.get(bookId.toString())).filter(Boolean);
+    };
+
+    // The default shelf is backed by the bookmarks collection, newest bookmark first
+    const getBookmarksShelf = async (userEmail) => {
+      const bookmarks = await bookmarksCollection.find({ userEmail: userEmail }).sort({ createdAt: -1 }).toArray();
+      return {
+        _id: BOOKMARKS_SHELF_ID,
+        name: 'Bookmarks',
+        description: 'Books you have bookmarked',
+        visibility: 'private',
+        isDefault: true,
+        position: -1,
+        books: bookmarks.map(bookmark => ({ bookId: bookmark.bookId, addedAt: bookmark.createdAt })),
+      };
+    };
+
+    const presentShelf = (shelf, books, user) => {
+      const { books: entries, ...rest } = shelf;
+      delete rest.nameKey; // Internal key for case-insensitive unique names
+      const addedAtById = new Map(entries.map(entry => [entry.bookId.toString(), entry.addedAt]));
+      return {
+        ...rest,
+        isDefault: !!shelf.isDefault,
+        bookCount: entries.length,
+        ...(books ? { books: books.map(book => ({ ...presentBook(book, user), addedAt: addedAtById.get(book._id.toString()) })) } : {}),
+      };
+    };
+
+    const validateShelfFields = ({ name, description, visibility }, { partial }) => {
+      if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim() || name.trim().length > 60)) {
+        return 'name is required and must be at most 60 characters';
+      }
+      if (name !== undefined && name.trim().toLowerCase() === 'bookmarks') {
+        return '"Bookmarks" is reserved for the default shelf';
+      }
+      if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+        return 'description must be a string of at most 500 characters';
+      }
+      if (visibility !== undefined && !SHELF_VISIBILITIES.includes(visibility)) {
+        return `visibility must be one of: ${SHELF_VISIBILITIES.join(', ')}`;
+      }
+      return null;
+    };
+    // --- End shelves --- //
 
-    app.post('/api/register', async (req, res) => {
+    app.post('/api/register', rateLimit('auth'), async (req, res) => {
       try {
         const { email, name, profilePhoto, uid } = req.body; // Expect Firebase user info from frontend
 
@@ -106,13 +2104,13 @@ async function run() {
           message: 'User synced to DB successfully'
         });
       } catch (error) {
-        console.error('Register/Sync user error:', error);
-        res.status(500).json({ message: 'Server error during user registration/sync' });
+        logger.error('Register/Sync user error', { error });
+        sendError(res, 500, 'Server error during user registration/sync');
       }
     });
 
 
-    app.post('/api/login', verifyFirebaseToken, async (req, res) => {
+    app.post('/api/login', verifyFirebaseToken, rateLimit('auth'), async (req, res) => {
       try {
         const userEmail = req.user.email;
         const userUid = req.user.uid; // Get UID from authenticated user
@@ -133,7 +2131,7 @@ async function run() {
 
         if (!user) {
           // If user not found, create a new document with Firebase data
-          console.warn(`User with UID ${userUid} not found in MongoDB during login, creating document with Firebase data.`);
+          logger.warn(`User with UID ${userUid} not found in MongoDB during login, creating document with Firebase data.`);
           const newUserDoc = {
             _id: userUid,
             ...updateDoc,
@@ -145,7 +2143,7 @@ async function run() {
         } else {
             // If user is found, update their profile in MongoDB with the latest Firebase info
              if (user.name !== firebaseName || user.profilePhoto !== firebasePhotoURL || !user.name || !user.profilePhoto) {
-                console.log(`Updating MongoDB profile for ${userEmail} with latest Firebase data during login.`);
+                logger.info(`Updating MongoDB profile for ${userEmail} with latest Firebase data during login.`);
                 await usersCollection.updateOne(
                     { _id: userUid },
                     { $set: updateDoc }
@@ -153,7 +2151,7 @@ async function run() {
                 // Fetch the updated user document
                 user = await usersCollection.findOne({ _id: userUid }, { projection: { password: 0 } });
              } else {
-                console.log(`MongoDB profile for ${userEmail} is already up-to-date with Firebase data during login.`);
+                logger.info(`MongoDB profile for ${userEmail} is already up-to-date with Firebase data during login.`);
                 // User data is already synced, no update needed in DB
              }
         }
@@ -164,69 +2162,124 @@ async function run() {
         });
 
       } catch (error) {
-        console.error('Login sync error:', error);
-        res.status(500).json({ message: 'Server error during login sync' });
+        logger.error('Login sync error', { error });
+        sendError(res, 500, 'Server error during login sync');
       }
     });
 
-    // Routes without :id parameter
-    // Book Routes - Protected with verifyFirebaseToken
-    app.post('/api/books', verifyFirebaseToken, async (req, res) => {
+    // Look up an ISBN-13 through the cache, asking the provider on a miss. Unknown ISBNs are cached too.
+    const lookupIsbn = async (isbn) => {
+      const cached = await isbnCacheCollection.findOne({ _id: isbn });
+      if (cached && cached.expiresAt > new Date()) {
+        return { metadata: cached.metadata, provider: cached.provider, cached: true };
+      }
+
+      const fetched = await isbnProvider.lookup(isbn);
+      // Keep only known fields with a value so they never overwrite anything with blanks
+      const metadata = fetched && Object.fromEntries(ISBN_METADATA_FIELDS
+        .filter(field => fetched[field] !== undefined && fetched[field] !== null && fetched[field] !== '')
+        .map(field => [field, fetched[field]]));
+      const now = new Date();
+      await isbnCacheCollection.updateOne(
+        { _id: isbn },
+        { $set: { metadata: metadata, provider: isbnProvider.name, fetchedAt: now, expiresAt: new Date(now.getTime() + (metadata ? ISBN_CACHE_HIT_MS : ISBN_CACHE_MISS_MS)) } },
+        { upsert: true }
+      );
+      return { metadata, provider: isbnProvider.name, cached: false };
+    };
+
+    // GET /api/books/isbn/:isbn - Look up book metadata by ISBN-10 or ISBN-13 (does not require authentication)
+    app.get('/api/books/isbn/:isbn', async (req, res) => {
       try {
+        const isbn = normalizeIsbn(req.params.isbn);
+        if (!isbn) {
+          return sendError(res, 400, 'Invalid ISBN: expected an ISBN-10 or ISBN-13 with a valid check digit');
+        }
+        const isbn13 = toIsbn13(isbn);
+
+        let lookup;
+        try {
+          lookup = await lookupIsbn(isbn13);
+        } catch (error) {
+          logger.error('ISBN provider error', { error });
+          return sendError(res, 502, 'Book metadata provider is unavailable, please try again later');
+        }
+        if (!lookup.metadata) {
+          return sendError(res, 404, 'No book found for this ISBN');
+        }
+
+        res.json({ isbn: isbn13, provider: lookup.provider, cached: lookup.cached, book: { ...lookup.metadata, isbn: isbn13 } });
+      } catch (error) {
+        logger.error('ISBN lookup error', { error });
+        sendError(res, 500, 'Server error looking up ISBN');
+      }
+    });
+
+    // Routes without :id parameter
+    // Book Routes - Protected with verifyFirebaseToken
+    app.post('/api/books', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        // Blank fields count as not provided, so they can be filled in from ISBN metadata
+        const input = req.body && typeof req.body === 'object' && !Array.isArray(req.body)
+          ? Object.fromEntries(Object.entries(req.body).filter(([, value]) => value !== '' && value !== null))
+          : req.body;
+        const { value: userFields, errors } = validateBody(input, bookSchema, { partial: true, managed: serverManagedFields.book });
+        if (errors.length > 0) {
+          return sendValidationError(res, errors);
+        }
+
+        // With an ISBN, fields left blank are filled in from the metadata provider; anything the user typed wins
+        let metadata = {};
+        if (userFields.isbn) {
+          try {
+            const lookup = await lookupIsbn(userFields.isbn);
+            // Provider data goes through the same rules; fields that don't fit are left out
+            metadata = validateBody(lookup.metadata || {}, bookSchema, { partial: true }).value;
+          } catch (error) {
+            // The book can still be added with what the user entered
+            logger.error('ISBN provider error', { error });
+          }
+        }
+
+        const fields = { ...metadata, ...userFields };
+        const missing = validateBody(fields, bookSchema).errors;
+        if (missing.length > 0) {
+          return sendValidationError(res, missing);
+        }
+
         const book = {
-          ...req.body,
+          ...fields,
           userEmail: req.user.email, // Use email from Firebase token
           userName: req.user.name || 'Anonymous', // Use name from Firebase token or default
           upvote: 0,
           upvotedBy: [],
           createdAt: new Date(),
           updatedAt: new Date(),
-          readingStatus: req.body.readingStatus || 'Want-to-Read', // Use provided status or default
+          readingStatus: fields.readingStatus || 'Want-to-Read', // Use provided status or default
           shares: 0,
         };
         const result = await booksCollection.insertOne(book);
-        res.status(201).json(result.ops ? result.ops[0] : { _id: result.insertedId, ...book });
+        await recordActivity(req.user, 'book_added', { bookId: result.insertedId, bookTitle: book.bookTitle });
+        await recordReadingProgress({ _id: result.insertedId, ...book }, req.user, { status: book.readingStatus });
+        res.status(201).json(presentBook(result.ops ? result.ops[0] : { _id: result.insertedId, ...book }, req.user));
       } catch (error) {
-        console.error('Create book error:', error);
-        res.status(500).json({ message: 'Server error creating book' });
+        logger.error('Create book error', { error });
+        sendError(res, 500, 'Server error creating book');
       }
     });
 
     // GET /api/books - Get books with filtering, sorting, pagination (does not require authentication)
-    app.get('/api/books', async (req, res) => {
+    app.get('/api/books', optionalFirebaseToken, async (req, res) => {
       try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 12;
-        const skip = (page - 1) * limit;
-        const category = req.query.category || '';
-        const status = req.query.status || 'all';
-        const readingStatus = req.query.readingStatus || '';
         const sortBy = req.query.sort || 'newest';
-        const userEmail = req.query.userEmail || ''; // Add userEmail parameter
-
-        let query = {};
-        
-        // Add userEmail filter if provided
-        if (userEmail) {
-          query.userEmail = userEmail;
+        const pagination = readPagination(req.query, `books:${sortBy}`, { defaultLimit: 12 });
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
         }
 
-        // Add category filter if provided
-        if (category) {
-          query.bookCategory = category;
-        }
-
-        // Add status filter if provided
-        if (status !== 'all') {
-          query.status = status;
-        }
-
-        // Add reading status filter if provided
-        if (readingStatus) {
-          query.readingStatus = readingStatus;
-        }
+        const query = { ...buildBookFilter(req.query), ...notHidden, ...notDeleted };
 
-        // Build sort object based on sortBy parameter
+        // Build sort object based on sortBy parameter (_id breaks ties so pages never overlap)
         let sort = {};
         switch (sortBy) {
           case 'oldest':
@@ -235,6 +2288,11 @@ async function run() {
           case 'popular':
             sort.upvote = -1;
             break;
+          case 'top_rated':
+            // Bayesian score, so a single 5-star review does not outrank a book with hundreds; unrated books come last
+            sort.bayesianRating = -1;
+            sort.totalRatings = -1;
+            break;
           case 'title_asc':
             sort.bookTitle = 1;
             break;
@@ -246,208 +2304,382 @@ async function run() {
         }
 
         const totalBooks = await booksCollection.countDocuments(query);
-        const books = await booksCollection.find(query)
-          .sort(sort)
-          .skip(skip)
-          .limit(limit)
-          .toArray();
+        const { items: books, nextCursor } = await findPage(booksCollection, query, sort, pagination, `books:${sortBy}`);
+
+        res.json({
+          books: books.map(book => presentBook(book, req.user)),
+          nextCursor,
+          totalBooks,
+          ...pageFields(pagination, totalBooks)
+        });
+      } catch (error) {
+        logger.error('Error fetching books', { error });
+        sendError(res, 500, 'Error fetching books');
+      }
+    });
+
+    // GET /api/books/facets - Counts per category, reading status, status, author and rating bucket (does not require authentication)
+    // Accepts the same filters as GET /api/books. Each facet is counted with every filter applied except its own,
+    // so selecting "Fiction" still shows how many books the other categories have.
+    app.get('/api/books/facets', async (req, res) => {
+      try {
+        const countBy = (field, excludeFilter, limit) => [
+          { $match: buildBookFilter(req.query, excludeFilter) },
+          { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+          { $match: { _id: { $nin: [null, ''] } } },
+          { $sort: { count: -1, _id: 1 } },
+          ...(limit ? [{ $limit: limit }] : []),
+        ];
+
+        const [result] = await booksCollection.aggregate([
+          { $match: { ...notHidden, ...notDeleted } },
+          { $facet: {
+            bookCategory: countBy('bookCategory', 'category'),
+            readingStatus: countBy('readingStatus', 'readingStatus'),
+            status: countBy('status', 'status'),
+            author: countBy('bookAuthor', 'author', 20),
+            rating: [
+              { $match: buildBookFilter(req.query, 'rating') },
+              { $bucket: { groupBy: '$rating', boundaries: [1, 2, 3, 4, 5, 6], default: 'unrated', output: { count: { $sum: 1 } } } },
+            ],
+            total: [
+              { $match: buildBookFilter(req.query) },
+              { $count: 'count' },
+            ],
+          } }
+        ]).toArray();
+
+        const toCounts = (buckets) => buckets.map(bucket => ({ value: String(bucket._id), count: bucket.count }));
 
         res.json({
-          books,
-          currentPage: page,
-          totalPages: Math.ceil(totalBooks / limit),
-          totalBooks
+          facets: {
+            bookCategory: toCounts(result.bookCategory),
+            readingStatus: toCounts(result.readingStatus),
+            status: toCounts(result.status),
+            author: toCounts(result.author),
+            rating: toCounts(result.rating),
+          },
+          totalBooks: result.total.length > 0 ? result.total[0].count : 0
         });
       } catch (error) {
-        console.error('Error fetching books:', error);
-        res.status(500).json({ message: 'Error fetching books' });
+        logger.error('Error fetching book facets', { error });
+        sendError(res, 500, 'Error fetching book facets');
       }
     });
 
-    app.get('/api/books/trending', async (req, res) => {
+    // GET /api/books/trending - Books with the most recent momentum (does not require authentication)
+    // Query: window=day|week|month|all (default week), category, limit (default 10, max 50)
+    app.get('/api/books/trending', optionalFirebaseToken, async (req, res) => {
       try {
-        const trendingBooks = await booksCollection.find()
-          .sort({ upvote: -1 })
-          .limit(10)
+        const windowName = req.query.window || 'week';
+        if (!trendingWindows[windowName]) {
+          return sendError(res, 400, 'Invalid window. Use one of: day, week, month, all');
+        }
+        const category = req.query.category || '';
+        const pagination = readPagination(req.query, `trending:${windowName}:${category}`, { defaultLimit: 10, maxLimit: 50 });
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const { limit } = pagination;
+        const { offset } = pagination;
+
+        await ensureFreshTrendingScores(windowName);
+
+        // The ranking is recomputed in the background, so pages are positions in it (one extra item tells if there is more)
+        const scoreQuery = { window: windowName };
+        if (category) scoreQuery.bookCategory = category;
+        const totalScored = await trendingScoresCollection.countDocuments(scoreQuery);
+        const topScores = await trendingScoresCollection.find(scoreQuery)
+          .sort({ score: -1, bookId: 1 })
+          .skip(offset)
+          .limit(limit + 1)
           .toArray();
 
-        res.status(200).json(trendingBooks);
+        const scoredBooks = await booksCollection.find({ _id: { $in: topScores.map(entry => entry.bookId) }, ...notHidden, ...notDeleted }).toArray();
+        const booksById = new Map(scoredBooks.map(book => [book._id.toString(), book]));
+        const trendingBooks = topScores
+          .filter(entry => booksById.has(entry.bookId.toString()))
+          .map(entry => ({ ...booksById.get(entry.bookId.toString()), trendingScore: entry.score }));
+
+        // A quiet window still fills the section, continuing with the all-time most upvoted books
+        if (offset + limit + 1 > totalScored) {
+          const allScored = await trendingScoresCollection.find(scoreQuery, { projection: { bookId: 1 } }).toArray();
+          const fillQuery = { _id: { $nin: allScored.map(entry => entry.bookId) }, ...notHidden, ...notDeleted };
+          if (category) fillQuery.bookCategory = category;
+          const fillBooks = await booksCollection.find(fillQuery)
+            .sort({ upvote: -1, _id: 1 })
+            .skip(Math.max(offset - totalScored, 0))
+            .limit(limit + 1 - trendingBooks.length)
+            .toArray();
+          trendingBooks.push(...fillBooks.map(book => ({ ...book, trendingScore: 0 })));
+        }
+
+        res.status(200).json({
+          books: trendingBooks.slice(0, limit).map(book => presentBook(book, req.user)),
+          nextCursor: nextOffsetCursor(`trending:${windowName}:${category}`, offset, limit, trendingBooks.length > limit),
+        });
       } catch (error) {
-        console.error('Error fetching trending books:', error);
-        res.status(500).json({ message: 'Failed to fetch trending books' });
+        logger.error('Error fetching trending books', { error });
+        sendError(res, 500, 'Failed to fetch trending books');
       }
     });
 
-    app.get('/api/books/search', async (req, res) => {
+    // GET /api/books/search - Relevance-ranked full-text search with pagination (does not require authentication)
+    app.get('/api/books/search', optionalFirebaseToken, rateLimit('search'), async (req, res) => {
         try {
-            const { q } = req.query;
+            const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
             if (!q) {
-                return res.status(400).json({ message: 'Search query parameter "q" is required' });
+                return sendError(res, 400, 'Search query parameter "q" is required');
+            }
+            // Results are ranked by relevance, so the cursor is a position in the ranking
+            const pagination = readPagination(req.query, 'search', { defaultLimit: 12, maxLimit: 50 });
+            if (pagination.error) {
+                return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+            }
+            const { limit, offset: skip } = pagination;
+
+            // $text treats the query as plain words, so special characters like "c++" or "(" are safe here
+            const textQuery = { $text: { $search: q }, ...notHidden, ...notDeleted };
+            const textSearchBooks = nonStrictDatabase.collection('books');
+            let totalBooks = await textSearchBooks.countDocuments(textQuery);
+            let books = [];
+
+            if (totalBooks > 0) {
+                books = await textSearchBooks.find(textQuery, { projection: { score: { $meta: 'textScore' } } })
+                    .sort({ score: { $meta: 'textScore' }, _id: 1 })
+                    .skip(skip)
+                    .limit(limit)
+                    .toArray();
+            } else {
+                // No whole-word match: fall back to prefix matching on titles and authors,
+                // so partially typed queries like "harr pot" still find "Harry Potter"
+                const prefixQuery = { ...buildPrefixSearchQuery(q), ...notHidden, ...notDeleted };
+                totalBooks = await booksCollection.countDocuments(prefixQuery);
+                books = await booksCollection.find(prefixQuery)
+                    .sort({ upvote: -1, _id: 1 })
+                    .skip(skip)
+                    .limit(limit)
+                    .toArray();
             }
 
-            const searchQuery = {
-                 $or: [
-                    { bookTitle: { $regex: q, $options: 'i' } },
-                    { bookAuthor: { $regex: q, $options: 'i' } },
-                    { bookOverview: { $regex: q, $options: 'i' } }, // Also search in overview
-                    { bookCategory: { $regex: q, $options: 'i' } } // Also search in category
-                 ]
-            };
-
-            const searchResults = await booksCollection.find(searchQuery).limit(20).toArray(); // Limit search results
-            res.json({ books: searchResults }); // Return results in a 'books' array
+            res.json({
+                books: books.map(book => presentBook(book, req.user)),
+                nextCursor: nextOffsetCursor('search', skip, limit, skip + books.length < totalBooks),
+                totalBooks,
+                ...pageFields(pagination, totalBooks)
+            });
 
         } catch (error) {
-            console.error('Search books error:', error);
-            res.status(500).json({ message: 'Server error searching books' });
+            logger.error('Search books error', { error });
+            sendError(res, 500, 'Server error searching books');
         }
     });
 
-    app.get('/api/books/:id', async (req, res) => {
+    app.get('/api/books/:id', optionalFirebaseToken, async (req, res) => {
       try {
         const bookId = req.params.id;
         if (!ObjectId.isValid(bookId)) {
-          return res.status(400).json({ message: 'Invalid Book ID format' });
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
         }
-        const book = await booksCollection.findOne({ _id: new ObjectId(bookId) });
-        if (!book) {
-          return res.status(404).json({ message: 'Book not found' });
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted });
+        // Books hidden by moderation are only visible to their owner and moderators
+        if (!book || (book.moderation?.hidden && !isModerator(req.user) && (!req.user || req.user.email !== book.userEmail))) {
+          return sendError(res, 404, 'Book not found');
         }
 
-        const reviews = await reviewsCollection.find({ bookId: new ObjectId(bookId) }).toArray();
+        const ownRating = req.user
+          ? await ratingsCollection.findOne({ bookId: book._id, userEmail: req.user.email }, { projection: { rating: 1 } })
+          : null;
 
-        const totalReviews = reviews.length;
-        const averageRating = totalReviews > 0
-          ? reviews.reduce((sum, r) => sum + r.rating, 0) / totalReviews
-          : 0;
-
-        const bookWithRating = { ...book, rating: averageRating, totalReviews: totalReviews };
-
-        res.json(bookWithRating);
+        res.json({ ...presentBook(book, req.user), userRating: ownRating?.rating ?? null });
       } catch (error) {
-        console.error('Get book by ID error:', error);
-        res.status(500).json({ message: 'Server error fetching book' });
+        logger.error('Get book by ID error', { error });
+        sendError(res, 500, 'Server error fetching book');
       }
     });
 
-    app.patch('/api/books/:id', verifyFirebaseToken, async (req, res) => {
+    app.patch('/api/books/:id', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
       try {
         const bookId = req.params.id;
         if (!ObjectId.isValid(bookId)) {
-          return res.status(400).json({ message: 'Invalid Book ID format' });
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+        const { value: updateData, errors } = validateBody(req.body, bookSchema, { partial: true, managed: serverManagedFields.book });
+        if (errors.length > 0) {
+          return sendValidationError(res, errors);
         }
-        const updateData = req.body;
 
-        const book = await booksCollection.findOne({ _id: new ObjectId(bookId) });
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted });
         if (!book) {
-          return res.status(404).json({ message: 'Book not found' });
+          return sendError(res, 404, 'Book not found');
         }
 
-        if (book.userEmail !== req.user.email && updateData.readingStatus === undefined) {
-          return res.status(403).json({ message: 'Not authorized to update this book' });
+        // Readers track their own status on other people's books through PUT /api/books/:id/progress
+        const isOwner = book.userEmail === req.user.email;
+        if (!isOwner && !isModerator(req.user)) {
+          return sendError(res, 403, 'Not authorized to update this book');
         }
 
         let updateDoc = { $set: { ...updateData, updatedAt: new Date() } };
-        delete updateDoc.$set._id;
 
+        if (updateData.readingStatus !== undefined && isOwner) {
+          await recordReadingProgress(book, req.user, { status: updateData.readingStatus });
+        }
 
         const result = await booksCollection.updateOne(
           { _id: new ObjectId(bookId) },
           updateDoc
         );
 
+        if (!isOwner && isModerator(req.user)) {
+          await recordAudit(req.user, 'book.update', 'book', book._id, { fields: Object.keys(updateDoc.$set), owner: book.userEmail });
+        }
+
         if (result.modifiedCount === 0) {
           const existingBook = await booksCollection.findOne({ _id: new ObjectId(bookId) });
-          if (existingBook) return res.status(200).json({ message: 'Book data is the same, no update needed', book: existingBook });
-          else return res.status(404).json({ message: 'Book not found after update attempt' });
+          if (existingBook) return res.status(200).json({ message: 'Book data is the same, no update needed', book: presentBook(existingBook, req.user) });
+          else return sendError(res, 404, 'Book not found after update attempt');
         }
 
         const updatedBook = await booksCollection.findOne({ _id: new ObjectId(bookId) });
-        res.json({ message: 'Book updated successfully', book: updatedBook });
+        res.json({ message: 'Book updated successfully', book: presentBook(updatedBook, req.user) });
 
       } catch (error) {
-        console.error('Update book error:', error);
-        res.status(500).json({ message: 'Server error updating book' });
+        logger.error('Update book error', { error });
+        sendError(res, 500, 'Server error updating book');
       }
     });
 
-    app.delete('/api/books/:id', verifyFirebaseToken, async (req, res) => {
+    app.delete('/api/books/:id', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
       try {
         const bookId = req.params.id;
         if (!ObjectId.isValid(bookId)) {
-          return res.status(400).json({ message: 'Invalid Book ID format' });
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
         }
 
-        const book = await booksCollection.findOne({ _id: new ObjectId(bookId) });
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted });
         if (!book) {
-          return res.status(404).json({ message: 'Book not found' });
+          return sendError(res, 404, 'Book not found');
         }
 
-        if (book.userEmail !== req.user.email) {
-          return res.status(403).json({ message: 'Not authorized to delete this book' });
+        const isOwner = book.userEmail === req.user.email;
+        if (!isOwner && !isModerator(req.user)) {
+          return sendError(res, 403, 'Not authorized to delete this book');
+        }
+        if (!isOwner) {
+          await recordAudit(req.user, 'book.delete', 'book', book._id, { bookTitle: book.bookTitle, owner: book.userEmail, reason: req.body?.reason || null });
         }
 
-        await booksCollection.deleteOne({ _id: new ObjectId(bookId) });
-
-        await reviewsCollection.deleteMany({ bookId: new ObjectId(bookId) });
-        await bookmarksCollection.deleteMany({ bookId: new ObjectId(bookId) });
-        await ratingsCollection.deleteMany({ bookId: new ObjectId(bookId) });
+        const trashed = await trashBook(book, req.user);
+        if (!trashed) {
+          return sendError(res, 404, 'Book not found');
+        }
 
-        res.json({ message: 'Book deleted successfully' });
+        res.json({ message: 'Book moved to trash', purgeAt: trashed.purgeAt });
       } catch (error) {
-        console.error('Delete book error:', error);
-        res.status(500).json({ message: 'Server error deleting book' });
+        logger.error('Delete book error', { error });
+        sendError(res, 500, 'Server error deleting book');
       }
     });
 
-    app.post('/api/books/:id/upvote', verifyFirebaseToken, async (req, res) => {
+    app.post('/api/books/:id/upvote', verifyFirebaseToken, rateLimit('reaction'), async (req, res) => {
       try {
         const bookId = req.params.id;
         if (!ObjectId.isValid(bookId)) {
-          return res.status(400).json({ message: 'Invalid Book ID format' });
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
         }
         const userEmail = req.user.email;
 
-        const book = await booksCollection.findOne({ _id: new ObjectId(bookId) });
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted });
         if (!book) {
-          return res.status(404).json({ message: 'Book not found' });
+          return sendError(res, 404, 'Book not found');
         }
 
         if (book.userEmail === userEmail) {
-          return res.status(400).json({ message: "You can't upvote your own book" });
+          return sendError(res, 400, "You can't upvote your own book");
         }
 
+        // The upvotedBy guard makes the vote idempotent: the count only moves if this user was not already a voter
         const result = await booksCollection.updateOne(
-          { _id: new ObjectId(bookId) },
-          { $inc: { upvote: 1 } } // Increment the 'upvote' field
+          { _id: new ObjectId(bookId), upvotedBy: { $ne: userEmail } },
+          { $addToSet: { upvotedBy: userEmail }, $inc: { upvote: 1 } }
         );
 
-        if (result.modifiedCount === 0) {
-             const updatedBook = await booksCollection.findOne({ _id: new ObjectId(bookId) });
-             if (!updatedBook) return res.status(404).json({ message: 'Book not found after update attempt' });
+        if (result.modifiedCount > 0) {
+          await upvotesCollection.updateOne(
+            { bookId: new ObjectId(bookId), userEmail: userEmail },
+            { $setOnInsert: { createdAt: new Date() } },
+            { upsert: true }
+          );
+          await recordActivity(req.user, 'upvote', { bookId: book._id, bookTitle: book.bookTitle });
+          await notify(book.userEmail, req.user, 'upvote', { bookId: book._id, bookTitle: book.bookTitle });
         }
 
         const updatedBook = await booksCollection.findOne({ _id: new ObjectId(bookId) });
+        if (!updatedBook) {
+          return sendError(res, 404, 'Book not found after update attempt');
+        }
+
+        res.json({
+          message: result.modifiedCount > 0 ? 'Book upvoted successfully' : 'You have already upvoted this book',
+          upvote: updatedBook.upvote,
+          userUpvoted: true,
+          book: presentBook(updatedBook, req.user)
+        });
+
+      } catch (error) {
+        logger.error('Upvote book error', { error });
+        sendError(res, 500, 'Server error processing upvote');
+      }
+    });
+
+    app.delete('/api/books/:id/upvote', verifyFirebaseToken, rateLimit('reaction'), async (req, res) => {
+      try {
+        const bookId = req.params.id;
+        if (!ObjectId.isValid(bookId)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+        const userEmail = req.user.email;
+
+        const result = await booksCollection.updateOne(
+          { _id: new ObjectId(bookId), upvotedBy: userEmail, ...notDeleted },
+          { $pull: { upvotedBy: userEmail }, $inc: { upvote: -1 } }
+        );
+
+        if (result.modifiedCount > 0) {
+          await upvotesCollection.deleteOne({ bookId: new ObjectId(bookId), userEmail: userEmail });
+          await retractActivity(req.user, 'upvote', { bookId: new ObjectId(bookId) });
+        }
+
+        const updatedBook = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted });
+        if (!updatedBook) {
+          return sendError(res, 404, 'Book not found');
+        }
 
-        res.json({ message: 'Book upvoted successfully', book: updatedBook });
+        res.json({
+          message: result.modifiedCount > 0 ? 'Upvote removed successfully' : 'You have not upvoted this book',
+          upvote: updatedBook.upvote,
+          userUpvoted: false,
+          book: presentBook(updatedBook, req.user)
+        });
 
       } catch (error) {
-        console.error('Upvote book error:', error);
-        res.status(500).json({ message: 'Server error processing upvote' });
+        logger.error('Remove upvote error', { error });
+        sendError(res, 500, 'Server error removing upvote');
       }
     });
 
-    app.post('/api/books/:id/bookmark', verifyFirebaseToken, async (req, res) => {
+    app.post('/api/books/:id/bookmark', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
       try {
         const bookId = req.params.id;
         if (!ObjectId.isValid(bookId)) {
-          return res.status(400).json({ message: 'Invalid Book ID format' });
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
         }
         const userEmail = req.user.email;
 
-        const book = await booksCollection.findOne({ _id: new ObjectId(bookId) });
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted });
         if (!book) {
-          return res.status(404).json({ message: 'Book not found' });
+          return sendError(res, 404, 'Book not found');
         }
 
         const existingBookmark = await bookmarksCollection.findOne({
@@ -456,7 +2688,7 @@ async function run() {
         });
 
         if (existingBookmark) {
-          return res.status(400).json({ message: 'Book already bookmarked' });
+          return sendError(res, 400, 'Book already bookmarked');
         }
 
         const bookmark = {
@@ -466,19 +2698,20 @@ async function run() {
         };
 
         await bookmarksCollection.insertOne(bookmark);
+        await recordActivity(req.user, 'bookmark', { bookId: book._id, bookTitle: book.bookTitle });
         res.status(201).json({ message: 'Book bookmarked successfully' });
       } catch (error) {
-        console.error('Create bookmark error:', error);
-        res.status(500).json({ message: 'Server error creating bookmark' });
+        logger.error('Create bookmark error', { error });
+        sendError(res, 500, 'Server error creating bookmark');
       }
     });
 
-    app.delete('/api/books/:id/bookmark', verifyFirebaseToken, async (req, res) => {
+    app.delete('/api/books/:id/bookmark', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
       try {
         const bookId = req.params.id;
         // Validate if bookId is a valid MongoDB ObjectId
         if (!ObjectId.isValid(bookId)) {
-          return res.status(400).json({ message: 'Invalid Book ID format' });
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
         }
         const userEmail = req.user.email;
 
@@ -488,32 +2721,264 @@ async function run() {
         });
 
         if (result.deletedCount === 0) {
-          return res.status(404).json({ message: 'Bookmark not found' });
+          return sendError(res, 404, 'Bookmark not found');
         }
+        await retractActivity(req.user, 'bookmark', { bookId: new ObjectId(bookId) });
 
         res.json({ message: 'Bookmark removed successfully' });
       } catch (error) {
-        console.error('Delete bookmark error:', error);
-        res.status(500).json({ message: 'Server error removing bookmark' });
+        logger.error('Delete bookmark error', { error });
+        sendError(res, 500, 'Server error removing bookmark');
+      }
+    });
+
+    // GET /api/books/:id/similar - "Readers also liked" for a book page (does not require authentication)
+    app.get('/api/books/:id/similar', optionalFirebaseToken, async (req, res) => {
+      try {
+        const bookId = req.params.id;
+        if (!ObjectId.isValid(bookId)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 6, 1), SIMILAR_BOOKS_PER_BOOK);
+
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted });
+        if (!book) {
+          return sendError(res, 404, 'Book not found');
+        }
+
+        const lists = await getSimilarityLists([book], 1);
+        const similar = lists.get(book._id.toString()) || [];
+        const similarBooks = await booksCollection.find({ _id: { $in: similar.map(entry => entry.bookId) }, ...notHidden, ...notDeleted }).toArray();
+        const booksById = new Map(similarBooks.map(similarBook => [similarBook._id.toString(), similarBook]));
+
+        res.json(similar
+          .filter(entry => booksById.has(entry.bookId.toString()))
+          .slice(0, limit)
+          .map(entry => {
+            const similarBook = booksById.get(entry.bookId.toString());
+            return { ...presentBook(similarBook, req.user), similarityScore: entry.score, reason: similaritySignals[entry.signal].reason(similarBook) };
+          }));
+      } catch (error) {
+        logger.error('Get similar books error', { error });
+        sendError(res, 500, 'Server error fetching similar books');
+      }
+    });
+
+    // POST /api/books/:id/share - Record a share of a book (does not require authentication)
+    app.post('/api/books/:id/share', optionalFirebaseToken, rateLimit('reaction'), async (req, res) => {
+      try {
+        const bookId = req.params.id;
+        if (!ObjectId.isValid(bookId)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted }, { projection: { _id: 1 } });
+        if (!book) {
+          return sendError(res, 404, 'Book not found');
+        }
+
+        // Shares feed trending, so only the first share of a book per reader (per IP when signed out) counts
+        const sharer = req.user ? `user:${req.user.email}` : `ip:${req.ip}`;
+        const result = await sharesCollection.updateOne(
+          { bookId: book._id, sharer: sharer },
+          { $setOnInsert: { userEmail: req.user ? req.user.email : null, createdAt: new Date() } },
+          { upsert: true }
+        );
+        if (result.upsertedCount > 0) {
+          await booksCollection.updateOne({ _id: book._id }, { $inc: { shares: 1 } });
+        }
+
+        res.status(201).json({ message: 'Share recorded successfully' });
+      } catch (error) {
+        logger.error('Record share error', { error });
+        sendError(res, 500, 'Server error recording share');
+      }
+    });
+
+    // GET /api/books/:id/progress - The authenticated user's progress and status timeline for a book
+    app.get('/api/books/:id/progress', verifyFirebaseToken, async (req, res) => {
+      try {
+        const bookId = req.params.id;
+        if (!ObjectId.isValid(bookId)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted });
+        if (!book) {
+          return sendError(res, 404, 'Book not found');
+        }
+
+        const progress = await readingProgressCollection.findOne({ bookId: book._id, userEmail: req.user.email });
+        if (!progress) {
+          return res.json({
+            bookId: book._id,
+            status: null,
+            currentPage: 0,
+            percent: 0,
+            totalPages: parseInt(book.totalPage) || null,
+            readCount: 0,
+            sessions: [],
+            history: []
+          });
+        }
+
+        res.json(progress);
+      } catch (error) {
+        logger.error('Get reading progress error', { error });
+        sendError(res, 500, 'Server error fetching reading progress');
+      }
+    });
+
+    // PUT /api/books/:id/progress - Log the current page or percent and/or change reading status
+    // Body: { status?, currentPage?, percent?, totalPages? }
+    app.put('/api/books/:id/progress', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const bookId = req.params.id;
+        if (!ObjectId.isValid(bookId)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+        const { status, currentPage, percent, totalPages } = req.body;
+
+        if (status !== undefined && !READING_STATUSES.includes(status)) {
+          return sendError(res, 400, `status must be one of: ${READING_STATUSES.join(', ')}`);
+        }
+        if (currentPage !== undefined && (!Number.isInteger(currentPage) || currentPage < 0)) {
+          return sendError(res, 400, 'currentPage must be a non-negative integer');
+        }
+        if (percent !== undefined && (typeof percent !== 'number' || percent < 0 || percent > 100)) {
+          return sendError(res, 400, 'percent must be a number between 0 and 100');
+        }
+        if (totalPages !== undefined && (!Number.isInteger(totalPages) || totalPages < 1)) {
+          return sendError(res, 400, 'totalPages must be a positive integer');
+        }
+        if (currentPage !== undefined && percent !== undefined) {
+          return sendError(res, 400, 'Send either currentPage or percent, not both');
+        }
+        if ([status, currentPage, percent, totalPages].every(value => value === undefined)) {
+          return sendError(res, 400, 'Nothing to update: send status, currentPage, percent or totalPages');
+        }
+
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted });
+        if (!book) {
+          return sendError(res, 404, 'Book not found');
+        }
+
+        const progress = await recordReadingProgress(book, req.user, { status, currentPage, percent, totalPages });
+        res.json({ message: 'Reading progress updated successfully', progress });
+      } catch (error) {
+        logger.error('Update reading progress error', { error });
+        sendError(res, 500, 'Server error updating reading progress');
+      }
+    });
+
+    // Rating Routes - quick star ratings without a written review
+    // POST /api/books/:id/ratings - Set or change your rating. Body: { rating } from 0.5 to 5 in half stars.
+    // If you have reviewed the book, the review's rating changes with it.
+    app.post('/api/books/:id/ratings', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const bookId = req.params.id;
+        if (!ObjectId.isValid(bookId)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+        const { value, errors } = validateBody(req.body, ratingSchema);
+        if (errors.length > 0) {
+          return sendValidationError(res, errors);
+        }
+
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted }, { projection: { _id: 1 } });
+        if (!book) {
+          return sendError(res, 404, 'Book not found');
+        }
+
+        const review = await reviewsCollection.findOneAndUpdate(
+          { bookId: book._id, userEmail: req.user.email, ...notDeleted },
+          { $set: { rating: value.rating, updatedAt: new Date() } }
+        );
+        // A hidden review's rating stays out of the aggregates until a moderator shows the review again
+        const { averageRating, totalRatings } = review?.moderation?.hidden
+          ? await applyRatingChanges(book._id, [])
+          : await setUserRating(book._id, req.user.email, value.rating, review ? 'review' : 'rating');
+
+        res.json({ message: 'Rating saved', userRating: value.rating, averageRating: averageRating, totalRatings: totalRatings });
+      } catch (error) {
+        logger.error('Rate book error', { error });
+        sendError(res, 500, 'Server error saving rating');
+      }
+    });
+
+    // DELETE /api/books/:id/ratings - Clear your rating. A review's rating can only go with the review.
+    app.delete('/api/books/:id/ratings', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const bookId = req.params.id;
+        if (!ObjectId.isValid(bookId)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+
+        const key = { bookId: new ObjectId(bookId), userEmail: req.user.email };
+        if (await reviewsCollection.countDocuments({ ...key, ...notDeleted }, { limit: 1 }) > 0) {
+          return sendError(res, 409, 'Your review includes this rating. Change it on the review, or delete the review.');
+        }
+        if (await ratingsCollection.countDocuments(key, { limit: 1 }) === 0) {
+          return sendError(res, 404, 'You have not rated this book');
+        }
+
+        const { averageRating, totalRatings } = await setUserRating(key.bookId, key.userEmail, null);
+        res.json({ message: 'Rating removed', userRating: null, averageRating: averageRating, totalRatings: totalRatings });
+      } catch (error) {
+        logger.error('Remove rating error', { error });
+        sendError(res, 500, 'Server error removing rating');
+      }
+    });
+
+    // GET /api/books/:id/average-rating - Average, count and star histogram (with your own rating when signed in)
+    app.get('/api/books/:id/average-rating', optionalFirebaseToken, async (req, res) => {
+      try {
+        const bookId = req.params.id;
+        if (!ObjectId.isValid(bookId)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted }, { projection: { rating: 1, totalRatings: 1, ratingStats: 1 } });
+        if (!book) {
+          return sendError(res, 404, 'Book not found');
+        }
+        const ownRating = req.user
+          ? await ratingsCollection.findOne({ bookId: book._id, userEmail: req.user.email }, { projection: { rating: 1 } })
+          : null;
+
+        res.json({
+          bookId: book._id,
+          averageRating: book.rating || 0,
+          totalRatings: book.totalRatings || 0,
+          histogram: book.ratingStats?.histogram || buildRatingStats([]).histogram,
+          userRating: ownRating?.rating ?? null,
+        });
+      } catch (error) {
+        logger.error('Get average rating error', { error });
+        sendError(res, 500, 'Server error fetching rating');
       }
     });
 
     // Review Routes - Protected with verifyFirebaseToken where user action is involved
-    app.post('/api/books/:id/reviews', verifyFirebaseToken, async (req, res) => {
+    app.post('/api/books/:id/reviews', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
       try {
         const bookId = req.params.id;
         // Validate if bookId is a valid MongoDB ObjectId
         if (!ObjectId.isValid(bookId)) {
-          return res.status(400).json({ message: 'Invalid Book ID format' });
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
         }
         const userEmail = req.user.email;
         const userName = req.user.name || 'Anonymous';
         const userPhoto = req.user.photoURL || '';
-        const { reviewText, rating } = req.body;
+        const { value, errors } = validateBody(req.body, reviewSchema, { managed: serverManagedFields.review });
+        if (errors.length > 0) {
+          return sendValidationError(res, errors);
+        }
+        const { reviewText = '', rating } = value;
 
-        const book = await booksCollection.findOne({ _id: new ObjectId(bookId) });
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted });
         if (!book) {
-          return res.status(404).json({ message: 'Book not found' });
+          return sendError(res, 404, 'Book not found');
         }
 
         // Optional: Check if user has already reviewed if you only allow one review per user
@@ -521,8 +2986,16 @@ async function run() {
           bookId: new ObjectId(bookId),
           userEmail: userEmail
         });
+        if (existingReview && !existingReview.deletedAt) {
+          return sendError(res, 400, 'You have already reviewed this book. Please update your existing review.');
+        }
+        // A moderator's removal stands: the review stays in the trash for review and restore, and blocks a new one
+        if (existingReview && existingReview.deletedBy !== userEmail) {
+          return sendError(res, 403, 'Your review of this book was removed by a moderator');
+        }
+        // Writing a new review replaces the one you moved to the trash
         if (existingReview) {
-          return res.status(400).json({ message: 'You have already reviewed this book. Please update your existing review.' });
+          await purgeReview(existingReview);
         }
 
         const review = {
@@ -539,42 +3012,43 @@ async function run() {
 
         const result = await reviewsCollection.insertOne(review);
         const newReview = result.ops ? result.ops[0] : { _id: result.insertedId, ...review };
+        await recordActivity(req.user, 'review', { bookId: book._id, bookTitle: book.bookTitle, reviewId: newReview._id, rating: rating });
+        await notify(book.userEmail, req.user, 'review', { bookId: book._id, bookTitle: book.bookTitle, reviewId: newReview._id });
 
-        // --- Recalculate average rating and total reviews --- //
-        const allReviewsForBook = await reviewsCollection.find({ bookId: new ObjectId(bookId) }).toArray();
-        const totalReviews = allReviewsForBook.length;
-        // Add logging for the ratings array
-        const averageRating = totalReviews > 0
-          ? allReviewsForBook.reduce((sum, r) => sum + r.rating, 0) / totalReviews
-          : 0;
-
-        // Optional: Update the book document with the new average rating and total reviews
-        await booksCollection.updateOne(
-          { _id: new ObjectId(bookId) },
-          { $set: { rating: averageRating, totalReviews: totalReviews } } // Assuming 'rating' and 'totalReviews' fields exist in the book document
-        );
-        // --- End recalculation --- //
-
+        await booksCollection.updateOne({ _id: book._id }, { $inc: { totalReviews: 1 } });
+        // Replaces any quick rating the user gave before writing the review
+        const { averageRating, totalReviews } = await setUserRating(book._id, userEmail, rating, 'review');
 
         res.status(201).json({ message: 'Review added successfully', review: newReview, averageRating: averageRating, totalReviews: totalReviews });
       } catch (error) {
-        console.error('Create review error:', error);
-        res.status(500).json({ message: 'Server error creating review' });
+        logger.error('Create review error', { error });
+        sendError(res, 500, 'Server error creating review');
       }
     });
 
-    app.get('/api/books/:id/reviews', async (req, res) => {
+    app.get('/api/books/:id/reviews', optionalFirebaseToken, async (req, res) => {
       try {
         const bookId = req.params.id;
         if (!ObjectId.isValid(bookId)) {
-          return res.status(400).json({ message: 'Invalid Book ID format' });
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
         }
-        const reviews = await reviewsCollection.find({ bookId: new ObjectId(bookId) })
-          .sort({ createdAt: -1 }).toArray();
-        res.json(reviews);
+        const pagination = readPagination(req.query, 'reviews');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        if (await booksCollection.countDocuments({ _id: new ObjectId(bookId), deletedAt: { $ne: null } }, { limit: 1 }) > 0) {
+          return sendError(res, 404, 'Book not found');
+        }
+        // Reviews hidden by moderation stay visible to their author and to moderators
+        const query = { bookId: new ObjectId(bookId), ...notDeleted };
+        if (!isModerator(req.user)) {
+          query.$or = [notHidden, ...(req.user ? [{ userEmail: req.user.email }] : [])];
+        }
+        const { items: reviews, nextCursor } = await findPage(reviewsCollection, query, { createdAt: -1 }, pagination, 'reviews');
+        res.json({ reviews: reviews.map(review => ({ ...review, replyCount: review.replyCount || 0 })), nextCursor });
       } catch (error) {
-        console.error('Get reviews error:', error);
-        res.status(500).json({ message: 'Server error fetching reviews' });
+        logger.error('Get reviews error', { error });
+        sendError(res, 500, 'Server error fetching reviews');
       }
     });
 
@@ -596,7 +3070,7 @@ async function run() {
         };
 
         if (!user) {
-          console.warn(`User with UID ${userUid} not found in MongoDB, creating document with Firebase data.`);
+          logger.warn(`User with UID ${userUid} not found in MongoDB, creating document with Firebase data.`);
           const newUserDoc = {
             _id: userUid,
             ...updateDoc,
@@ -607,7 +3081,7 @@ async function run() {
 
         } else {
             if (user.name !== firebaseName || user.profilePhoto !== firebasePhotoURL || !user.name || !user.profilePhoto) {
-                console.log(`Updating MongoDB profile for ${userEmail} with latest Firebase data.`);
+                logger.info(`Updating MongoDB profile for ${userEmail} with latest Firebase data.`);
                  await usersCollection.updateOne(
                     { _id: userUid },
                     { $set: updateDoc }
@@ -615,12 +3089,12 @@ async function run() {
                 // Fetch the updated user document to return
                 user = await usersCollection.findOne({ _id: userUid }, { projection: { password: 0 } });
             } else {
-              console.log(`MongoDB profile for ${userEmail} is already up-to-date with Firebase data.`);
+              logger.info(`MongoDB profile for ${userEmail} is already up-to-date with Firebase data.`);
               // User data is already synced, no update needed in DB
             }
         }
 
-        const books = await booksCollection.find({ userEmail: userEmail }).toArray();
+        const books = await booksCollection.find({ userEmail: userEmail, ...notDeleted }).toArray();
         const bookStats = {
           total: books.length,
           read: books.filter(book => book.readingStatus === 'Read').length,
@@ -629,8 +3103,10 @@ async function run() {
         };
 
         const bookmarkCount = await bookmarksCollection.countDocuments({ userEmail: userEmail });
-        const reviewCount = await reviewsCollection.countDocuments({ userEmail: userEmail });
+        const reviewCount = await reviewsCollection.countDocuments({ userEmail: userEmail, ...notDeleted });
         const ratingCount = await ratingsCollection.countDocuments({ userEmail: userEmail });
+        const followerCount = await followsCollection.countDocuments({ followingId: userUid });
+        const followingCount = await followsCollection.countDocuments({ followerId: userUid });
 
         res.json({
           user: { // Return relevant user info from MongoDB
@@ -638,22 +3114,27 @@ async function run() {
             name: user.name,
             email: user.email,
             profilePhoto: user.profilePhoto,
-            bio: user.bio // Include bio if you have it
+            bio: user.bio, // Include bio if you have it
+            role: req.user.role
           },
           bookStats,
           engagementStats: {
             bookmarks: bookmarkCount,
             reviews: reviewCount,
             ratings: ratingCount,
+          },
+          socialStats: {
+            followers: followerCount,
+            following: followingCount,
           }
         });
       } catch (error) {
-        console.error('Get user profile error:', error);
-        res.status(500).json({ message: 'Server error fetching user profile' });
+        logger.error('Get user profile error', { error });
+        sendError(res, 500, 'Server error fetching user profile');
       }
     });
 
-    app.patch('/api/users/profile', verifyFirebaseToken, async (req, res) => {
+    app.patch('/api/users/profile', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
       try {
         const { displayName, photoURL, bio } = req.body; // Get updated data from request body
         const userUid = req.user.uid; // Get user UID from verified token
@@ -685,23 +3166,23 @@ async function run() {
 
         res.status(200).json(updatedUser);
       } catch (error) {
-        console.error('Update profile error:', error);
+        logger.error('Update profile error', { error });
         // Handle specific Firebase or MongoDB errors if needed
-        res.status(500).json({ message: error.message || 'Server error updating profile' });
+        sendError(res, 500, 'Server error updating profile');
       }
     });
 
     // GET /api/users/profile/:id - Get user profile by ID (does not require authentication to view, but auth can check if current user is viewing their own profile)
-    app.get('/api/users/profile/:id', async (req, res) => {
+    app.get('/api/users/profile/:id', optionalFirebaseToken, async (req, res) => {
       try {
         const userId = req.params.id;
         
         const user = await usersCollection.findOne({ _id: userId }, { projection: { password: 0 } }); // Exclude password
         if (!user) {
-          return res.status(404).json({ message: 'User not found in DB.' });
+          return sendError(res, 404, 'User not found in DB.');
         }
 
-        const books = await booksCollection.find({ userEmail: user.email }).toArray();
+        const books = await booksCollection.find({ userEmail: user.email, ...notDeleted }).toArray();
         const bookStats = {
           total: books.length,
           read: books.filter(book => book.readingStatus === 'Read').length,
@@ -711,9 +3192,15 @@ async function run() {
 
         // Fetch user's engagement stats - optional, depending on privacy policy
         const bookmarkCount = await bookmarksCollection.countDocuments({ userEmail: user.email });
-        const reviewCount = await reviewsCollection.countDocuments({ userEmail: user.email });
+        const reviewCount = await reviewsCollection.countDocuments({ userEmail: user.email, ...notDeleted });
         const ratingCount = await ratingsCollection.countDocuments({ userEmail: user.email });
 
+        const [followerCount, followingCount, viewerFollow] = await Promise.all([
+          followsCollection.countDocuments({ followingId: user._id }),
+          followsCollection.countDocuments({ followerId: user._id }),
+          req.user ? followsCollection.findOne({ followerId: req.user.uid, followingId: user._id }) : null,
+        ]);
+
         res.json({
           user: { // Return relevant user info from MongoDB
             id: user._id,
@@ -727,328 +3214,2067 @@ async function run() {
             bookmarks: bookmarkCount,
             reviews: reviewCount,
             ratings: ratingCount,
-          }
+          },
+          socialStats: {
+            followers: followerCount,
+            following: followingCount,
+          },
+          isFollowing: !!viewerFollow
         });
       } catch (error) {
-        console.error('Get user profile by ID error:', error);
-        res.status(500).json({ message: 'Server error fetching user profile by ID' });
+        logger.error('Get user profile by ID error', { error });
+        sendError(res, 500, 'Server error fetching user profile by ID');
       }
     });
 
-    // User Reading List and Activity Log Routes - Protected with verifyFirebaseToken
-    app.get('/api/users/reading-list', verifyFirebaseToken, async (req, res) => {
+    // GET /api/users/profile/:id/shelves - Another user's public shelves (does not require authentication)
+    app.get('/api/users/profile/:id/shelves', async (req, res) => {
       try {
-        const userEmail = req.user.email;
+        const user = await usersCollection.findOne({ _id: req.params.id }, { projection: { email: 1 } });
+        if (!user) {
+          return sendError(res, 404, 'User not found in DB.');
+        }
 
-        const readingList = await booksCollection.find({
-          userEmail: userEmail,
-          readingStatus: { $in: ['Read', 'Reading', 'Want-to-Read'] } // Include only valid statuses
-        }).sort({ updatedAt: -1 }).toArray(); // Sort by last update
+        const pagination = readPagination(req.query, 'public-shelves');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const { items: shelves, nextCursor } = await findPage(shelvesCollection, { userEmail: user.email, visibility: 'public' }, { position: 1, createdAt: 1 }, pagination, 'public-shelves');
 
-        res.json(readingList);
+        res.json({
+          shelves: shelves.map(shelf => {
+            const publicShelf = presentShelf(shelf);
+            delete publicShelf.userEmail;
+            return publicShelf;
+          }),
+          nextCursor
+        });
       } catch (error) {
-        console.error('Get reading list error:', error);
-        res.status(500).json({ message: 'Server error fetching reading list' });
+        logger.error('Get public shelves error', { error });
+        sendError(res, 500, 'Server error fetching shelves');
       }
     });
-    app.get('/api/users/activity', verifyFirebaseToken, async (req, res) => {
-      try {
-        const userEmail = req.user.email;
 
-        // Example: Fetch recent reviews by the user
-        const recentReviews = await reviewsCollection.find({ userEmail: userEmail })
-          .sort({ createdAt: -1 })
-          .limit(5)
-          .toArray();
+    // Follow Routes - users are identified by their Firebase UID, like /api/users/profile/:id
+    // POST /api/users/profile/:id/follow - Follow a user
+    app.post('/api/users/profile/:id/follow', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const followingId = req.params.id;
+        if (followingId === req.user.uid) {
+          return sendError(res, 400, "You can't follow yourself");
+        }
 
-        // Example: Fetch recent books added by the user
-        const recentBooksAdded = await booksCollection.find({ userEmail: userEmail })
-          .sort({ createdAt: -1 })
-          .limit(5)
-          .toArray();
+        const user = await usersCollection.findOne({ _id: followingId }, { projection: { _id: 1 } });
+        if (!user) {
+          return sendError(res, 404, 'User not found in DB.');
+        }
 
-        // Combine and sort activities by date
-        const activity = [
-          ...recentReviews.map(review => ({ type: 'review', date: review.createdAt, details: review })),
-          ...recentBooksAdded.map(book => ({ type: 'book_added', date: book.createdAt, details: book })),
-          // Add other activity types here (e.g., upvotes given, books bookmarked/liked, reading status changes if tracked separately)
-        ].sort((a, b) => b.date - a.date).slice(0, 10); // Sort by date and limit total
+        const result = await followsCollection.updateOne(
+          { followerId: req.user.uid, followingId: followingId },
+          { $setOnInsert: { createdAt: new Date() } },
+          { upsert: true }
+        );
+        if (result.upsertedCount === 0) {
+          return sendError(res, 400, 'You are already following this user');
+        }
 
-        res.json(activity);
+        res.status(201).json({ message: 'User followed successfully' });
       } catch (error) {
-        console.error('Get activity error:', error);
-        res.status(500).json({ message: 'Server error fetching activity' });
+        logger.error('Follow user error', { error });
+        sendError(res, 500, 'Server error following user');
       }
     });
-    // Add a simple ping route to check server status
-    app.get('/ping', (req, res) => {
-      res.send('Server is running and reachable!');
-    });
 
-    // GET /api/users/stats - Get user statistics
-    app.get('/api/users/stats', verifyFirebaseToken, async (req, res) => {
+    // DELETE /api/users/profile/:id/follow - Unfollow a user
+    app.delete('/api/users/profile/:id/follow', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
       try {
-        const userEmail = req.user.email;
-
-        // Fetch user's book stats (total, read, reading, wantToRead)
-        const books = await booksCollection.find({ userEmail: userEmail }).toArray();
-        const stats = {
-          totalBooks: books.length,
-          booksRead: books.filter(book => book.readingStatus === 'Read').length,
-          currentlyReading: books.filter(book => book.readingStatus === 'Reading').length,
-          wantToRead: books.filter(book => book.readingStatus === 'Want-to-Read').length,
-          // Calculate total reviews and upvotes received from all books owned by the user
-          totalReviews: await reviewsCollection.countDocuments({ userEmail: userEmail }), // Count reviews written by the user
-          totalUpvotes: books.reduce((sum, book) => sum + (book.upvote || 0), 0), // Sum upvotes on user's books
-        };
-
-        res.json(stats);
+        const result = await followsCollection.deleteOne({ followerId: req.user.uid, followingId: req.params.id });
+        if (result.deletedCount === 0) {
+          return sendError(res, 404, 'You are not following this user');
+        }
+        res.json({ message: 'User unfollowed successfully' });
       } catch (error) {
-        console.error('Error fetching user stats:', error);
-        res.status(500).json({ message: 'Server error fetching user statistics' });
+        logger.error('Unfollow user error', { error });
+        sendError(res, 500, 'Server error unfollowing user');
       }
     });
 
-    // GET /api/users/bookmarks - Get bookmarks for the authenticated user
-    app.get('/api/users/bookmarks', verifyFirebaseToken, async (req, res) => {
+    // Paginated follower/following lists share one implementation
+    const listFollows = (direction) => async (req, res) => {
       try {
-        const userEmail = req.user.email;
-        const userBookmarks = await bookmarksCollection.find({ userEmail: userEmail }).toArray();
+        const pagination = readPagination(req.query, direction);
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const [matchField, userField] = direction === 'followers' ? ['followingId', 'followerId'] : ['followerId', 'followingId'];
 
-        // For each bookmark, fetch the full book details
-        const bookIds = userBookmarks.map(bookmark => bookmark.bookId);
-        const bookmarkedBooks = await booksCollection.find({ _id: { $in: bookIds } }).toArray();
+        const { items: follows, nextCursor } = await findPage(followsCollection, { [matchField]: req.params.id }, { createdAt: -1 }, pagination, direction);
+
+        const users = await usersCollection.find(
+          { _id: { $in: follows.map(follow => follow[userField]) } },
+          { projection: { name: 1, profilePhoto: 1 } }
+        ).toArray();
+        const usersById = new Map(users.map(user => [user._id, user]));
 
-        res.json(bookmarkedBooks); // Return the list of book objects
+        res.json({
+          users: follows
+            .filter(follow => usersById.has(follow[userField]))
+            .map(follow => {
+              const user = usersById.get(follow[userField]);
+              return { id: user._id, name: user.name, profilePhoto: user.profilePhoto, followedAt: follow.createdAt };
+            }),
+          nextCursor
+        });
       } catch (error) {
-        console.error('Error fetching user bookmarks:', error);
-        res.status(500).json({ message: 'Server error fetching user bookmarks' });
+        logger.error(`Get ${direction} error`, { error });
+        sendError(res, 500, `Server error fetching ${direction}`);
+      }
+    };
+
+    // GET /api/users/profile/:id/followers - Users following this user (does not require authentication)
+    app.get('/api/users/profile/:id/followers', listFollows('followers'));
+
+    // GET /api/users/profile/:id/following - Users this user follows (does not require authentication)
+    app.get('/api/users/profile/:id/following', listFollows('following'));
+
+    // GET /api/users/feed - Paginated activity from the users the authenticated user follows
+    app.get('/api/users/feed', verifyFirebaseToken, async (req, res) => {
+      try {
+        const pagination = readPagination(req.query, 'feed');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+
+        const follows = await followsCollection.find({ followerId: req.user.uid }, { projection: { followingId: 1 } }).toArray();
+        const query = { actorId: { $in: follows.map(follow => follow.followingId) }, ...notDeleted };
+
+        const { items: activities, nextCursor } = await findPage(activitiesCollection, query, { createdAt: -1 }, pagination, 'feed', { projection: { actorEmail: 0 } });
+
+        res.json({ activities, nextCursor });
+      } catch (error) {
+        logger.error('Get feed error', { error });
+        sendError(res, 500, 'Server error fetching feed');
+      }
+    });
+
+    // User Reading List and Activity Log Routes - Protected with verifyFirebaseToken
+    app.get('/api/users/reading-list', verifyFirebaseToken, async (req, res) => {
+      try {
+        const userEmail = req.user.email;
+        const pagination = readPagination(req.query, 'reading-list');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+
+        // Books the user tracks (their own or added by others) come from their progress; their own books from before
+        // progress tracking only have the book's readingStatus. Both are merged and paged in one pipeline, most
+        // recently updated first.
+        const { items: entries, nextCursor } = await aggregatePage(readingProgressCollection, [
+          { $match: { userEmail: userEmail, status: { $in: READING_STATUSES } } },
+          {
+            $lookup: {
+              from: 'books',
+              let: { bookId: '$bookId' },
+              pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$bookId'] }, ...notDeleted } }, { $project: { _id: 1 } }],
+              as: 'book',
+            },
+          },
+          { $match: { book: { $ne: [] } } },
+          { $project: { _id: '$bookId', sortAt: '$updatedAt' } },
+          {
+            $unionWith: {
+              coll: 'books',
+              pipeline: [
+                { $match: { userEmail: userEmail, readingStatus: { $in: READING_STATUSES }, ...notDeleted } },
+                {
+                  $lookup: {
+                    from: 'readingProgress',
+                    let: { bookId: '$_id' },
+                    pipeline: [
+                      { $match: { $expr: { $eq: ['$bookId', '$$bookId'] }, userEmail: userEmail, status: { $in: READING_STATUSES } } },
+                      { $project: { _id: 1 } },
+                    ],
+                    as: 'progress',
+                  },
+                },
+                { $match: { progress: [] } },
+                { $project: { _id: 1, sortAt: { $ifNull: ['$updatedAt', '$createdAt'] } } },
+              ],
+            },
+          },
+        ], { sortAt: -1 }, pagination, 'reading-list');
+
+        const bookIds = entries.map(entry => entry._id);
+        const [books, progressDocs] = await Promise.all([
+          booksCollection.find({ _id: { $in: bookIds } }).toArray(),
+          readingProgressCollection.find({ userEmail: userEmail, bookId: { $in: bookIds } }).toArray(),
+        ]);
+        const booksById = new Map(books.map(book => [book._id.toString(), book]));
+        const progressByBook = new Map(progressDocs.map(progress => [progress.bookId.toString(), progress]));
+
+        const page = entries.filter(entry => booksById.has(entry._id.toString())).map(entry => {
+          const book = booksById.get(entry._id.toString());
+          const progress = progressByBook.get(entry._id.toString());
+          const currentSession = progress && progress.sessions.length > 0 ? progress.sessions[progress.sessions.length - 1] : null;
+          return {
+            ...presentBook(book, req.user),
+            readingStatus: progress ? progress.status : book.readingStatus,
+            progress: progress ? {
+              currentPage: progress.currentPage,
+              percent: progress.percent,
+              totalPages: progress.totalPages,
+              readCount: progress.readCount,
+              startedAt: currentSession ? currentSession.startedAt : null,
+              finishedAt: currentSession ? currentSession.finishedAt : null,
+              updatedAt: progress.updatedAt,
+            } : null,
+          };
+        });
+
+        res.json({ books: page, nextCursor });
+      } catch (error) {
+        logger.error('Get reading list error', { error });
+        sendError(res, 500, 'Server error fetching reading list');
+      }
+    });
+    app.get('/api/users/activity', verifyFirebaseToken, async (req, res) => {
+      try {
+        const userEmail = req.user.email;
+
+        const pagination = readPagination(req.query, 'activity', { defaultLimit: 10 });
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const { items: recordedActivity, nextCursor } = await findPage(activitiesCollection, { actorId: req.user.uid, ...notDeleted }, { createdAt: -1 }, pagination, 'activity');
+
+        // Reviews and books from before activity events were recorded are rebuilt from their collections.
+        // They are older than every recorded event, so they close out the last page.
+        let legacyActivity = [];
+        if (!nextCursor && recordedActivity.length < pagination.limit) {
+          const legacyQuery = { userEmail: userEmail, ...notDeleted };
+          const firstRecorded = await activitiesCollection.find({ actorId: req.user.uid }).sort({ createdAt: 1 }).limit(1).toArray();
+          if (firstRecorded.length > 0) {
+            legacyQuery.createdAt = { $lt: firstRecorded[0].createdAt };
+          }
+          const [legacyReviews, legacyBooks] = await Promise.all([
+            reviewsCollection.find(legacyQuery).sort({ createdAt: -1 }).limit(5).toArray(),
+            booksCollection.find(legacyQuery).sort({ createdAt: -1 }).limit(5).toArray(),
+          ]);
+          legacyActivity = [
+            ...legacyReviews.map(review => ({ type: 'review', date: review.createdAt, details: review })),
+            ...legacyBooks.map(book => ({ type: 'book_added', date: book.createdAt, details: book })),
+          ].sort((a, b) => b.date - a.date).slice(0, pagination.limit - recordedActivity.length);
+        }
+
+        const activity = [
+          ...recordedActivity.map(event => ({ type: event.type, date: event.createdAt, details: event })),
+          ...legacyActivity,
+        ];
+
+        res.json({ activity, nextCursor });
+      } catch (error) {
+        logger.error('Get activity error', { error });
+        sendError(res, 500, 'Server error fetching activity');
+      }
+    });
+    // Add a simple ping route to check server status
+    app.get('/ping', (req, res) => {
+      res.send('Server is running and reachable!');
+    });
+
+    // GET /api/openapi.json - OpenAPI 3 description of every route (kept in sync by `npm test`)
+    app.get('/api/openapi.json', (req, res) => {
+      res.json(openApiDocument);
+    });
+
+    // GET /api/docs - Browsable API docs rendered by Swagger UI from /api/openapi.json
+    app.get('/api/docs', (req, res) => {
+      res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${openApiDocument.info.title} docs</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`);
+    });
+
+    // GET /api/users/stats - Get user statistics
+    app.get('/api/users/stats', verifyFirebaseToken, async (req, res) => {
+      try {
+        const userEmail = req.user.email;
+
+        // Fetch user's book stats (total, read, reading, wantToRead)
+        const books = await booksCollection.find({ userEmail: userEmail, ...notDeleted }).toArray();
+        const stats = {
+          totalBooks: books.length,
+          booksRead: books.filter(book => book.readingStatus === 'Read').length,
+          currentlyReading: books.filter(book => book.readingStatus === 'Reading').length,
+          wantToRead: books.filter(book => book.readingStatus === 'Want-to-Read').length,
+          // Calculate total reviews and upvotes received from all books owned by the user
+          totalReviews: await reviewsCollection.countDocuments({ userEmail: userEmail, ...notDeleted }), // Count reviews written by the user
+          totalUpvotes: books.reduce((sum, book) => sum + (book.upvote || 0), 0), // Sum upvotes on user's books
+        };
+
+        // Reading history from the progress timeline
+        const progressDocs = await readingProgressCollection.find({ userEmail: userEmail }).toArray();
+        const startOfYear = new Date(new Date().getFullYear(), 0, 1);
+        const finishedSessions = progressDocs.flatMap(progress => progress.sessions.filter(session => session.finishedAt));
+        stats.booksFinishedThisYear = finishedSessions.filter(session => session.finishedAt >= startOfYear).length;
+        stats.rereads = progressDocs.reduce((sum, progress) => sum + Math.max(progress.readCount - 1, 0), 0);
+        stats.pagesRead = progressDocs.reduce((sum, progress) =>
+          sum + (progress.totalPages || 0) * progress.readCount + (progress.status === 'Reading' ? progress.currentPage : 0), 0);
+        stats.averageDaysToFinish = finishedSessions.length > 0
+          ? Math.round(finishedSessions.reduce((sum, session) => sum + (session.finishedAt - session.startedAt), 0) / finishedSessions.length / DAY_MS * 10) / 10
+          : null;
+
+        res.json(stats);
+      } catch (error) {
+        logger.error('Error fetching user stats', { error });
+        sendError(res, 500, 'Server error fetching user statistics');
+      }
+    });
+
+    // --- Library import/export --- //
+    const libraryKey = (book) => book.isbn
+      ? `isbn:${book.isbn}`
+      : `title:${(book.bookTitle || '').trim().toLowerCase()}|${(book.bookAuthor || '').trim().toLowerCase()}`;
+
+    // Validate and normalize every CSV row; rows are numbered as in a spreadsheet (header is row 1)
+    const prepareImportRows = (records, format) => records.map((record, index) => {
+      const errors = [];
+      const row = importFormats[format].mapRow(record, errors);
+      row.row = index + 2;
+      row.bookCategory = (row.bookCategory || '').trim() || 'Uncategorized';
+      row.readingStatus = row.readingStatus || 'Want-to-Read';
+      // StoryGraph's ISBN/UID column also holds store IDs; those are dropped rather than failing the row
+      row.isbn = normalizeIsbn(row.isbn) ? row.isbn : null;
+
+      // Imported books follow the same schema as books added through the API
+      const bookFields = ['bookTitle', 'bookAuthor', 'bookCategory', 'totalPage', 'isbn', 'readingStatus']
+        .filter(field => row[field] !== null && row[field] !== undefined && row[field] !== '');
+      const book = validateBody(Object.fromEntries(bookFields.map(field => [field, row[field]])), bookSchema);
+      book.errors.forEach(error => errors.push(error.message));
+      Object.assign(row, book.value);
+
+      // 0 or blank means "not rated" in both exports; StoryGraph's quarter stars are rounded to the nearest half
+      const rating = parseFloat(row.rating);
+      if (row.rating && row.rating.trim() !== '' && isNaN(rating)) errors.push(`Invalid rating "${row.rating}"`);
+      else if (rating > 5 || rating < 0) errors.push(`Rating must be between 0 and 5, got ${rating}`);
+      row.rating = rating > 0 ? Math.max(starRating.min, Math.round(rating * 2) / 2) : null;
+      if (row.rating) {
+        validateBody({ reviewText: row.reviewText, rating: row.rating }, reviewSchema).errors.forEach(error => errors.push(error.message));
+      }
+      row.errors = errors;
+      return row;
+    });
+
+    // Progress document for an imported book: one finished session per dated read, plus undated re-reads in readCount
+    const buildImportedProgress = (bookId, userEmail, row, now) => {
+      const sessions = row.reads
+        .sort((a, b) => a.finishedAt - b.finishedAt)
+        .map(read => ({ startedAt: read.startedAt || read.finishedAt, finishedAt: read.finishedAt }));
+      if (row.readingStatus === 'Reading') sessions.push({ startedAt: row.dateAdded || now, finishedAt: null });
+      return {
+        bookId: bookId,
+        userEmail: userEmail,
+        status: row.readingStatus,
+        currentPage: row.readingStatus === 'Read' ? row.totalPage || 0 : 0,
+        percent: row.readingStatus === 'Read' ? 100 : 0,
+        totalPages: row.totalPage,
+        readCount: Math.max(row.readCount, sessions.filter(session => session.finishedAt).length),
+        sessions: sessions,
+        history: [
+          ...sessions.filter(session => session.finishedAt).map(session => ({
+            status: 'Read', currentPage: row.totalPage || 0, percent: 100, statusChanged: true, at: session.finishedAt, imported: true,
+          })),
+          { status: row.readingStatus, currentPage: 0, percent: 0, statusChanged: true, at: now, imported: true },
+        ],
+        createdAt: row.dateAdded || now,
+        updatedAt: now,
+      };
+    };
+
+    // POST /api/users/import - Bulk import a Goodreads or StoryGraph CSV export (`?dryRun=true` to preview)
+    app.post('/api/users/import', verifyFirebaseToken, rateLimit('import'), express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '10mb' }), async (req, res) => {
+      try {
+        const userEmail = req.user.email;
+        const dryRun = req.query.dryRun === 'true';
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+          return sendError(res, 400, 'Send the CSV file as the request body with Content-Type: text/csv');
+        }
+
+        let rows;
+        try {
+          rows = parseCsv(req.body);
+        } catch (error) {
+          return sendError(res, 400, `Could not parse CSV: ${error.message}`);
+        }
+        const [headers = [], ...dataRows] = rows;
+        const trimmedHeaders = headers.map(header => header.trim());
+
+        const format = req.query.format || Object.keys(importFormats).find(name => importFormats[name].detect(trimmedHeaders));
+        if (!importFormats[format]) {
+          return sendError(res, 400, `Unrecognized CSV format. Supported formats: ${Object.keys(importFormats).join(', ')}`);
+        }
+        if (!importFormats[format].detect(trimmedHeaders)) {
+          return sendError(res, 400, `CSV headers do not match the ${format} export format`);
+        }
+        if (dataRows.length > MAX_IMPORT_ROWS) {
+          return sendError(res, 400, `Imports are limited to ${MAX_IMPORT_ROWS} rows; split the file and import it in parts`);
+        }
+
+        const records = dataRows.map(cells => Object.fromEntries(trimmedHeaders.map((header, i) => [header, cells[i] || ''])));
+        const prepared = prepareImportRows(records, format);
+
+        // Duplicates: books already in the library, or repeated within the file
+        const existingBooks = await booksCollection.find({ userEmail: userEmail, ...notDeleted }, { projection: { bookTitle: 1, bookAuthor: 1, isbn: 1 } }).toArray();
+        const existingByKey = new Map();
+        existingBooks.forEach(book => {
+          existingByKey.set(libraryKey(book), book._id);
+          existingByKey.set(libraryKey({ ...book, isbn: null }), book._id);
+        });
+        const seenInFile = new Map();
+
+        const now = new Date();
+        const results = [];
+        for (const row of prepared) {
+          const result = { row: row.row, bookTitle: row.bookTitle, bookAuthor: row.bookAuthor };
+          if (row.errors.length > 0) {
+            results.push({ ...result, status: 'error', errors: row.errors });
+            continue;
+          }
+          const keys = [libraryKey(row), libraryKey({ ...row, isbn: null })];
+          const existingId = keys.map(key => existingByKey.get(key)).find(Boolean);
+          const earlierRow = keys.map(key => seenInFile.get(key)).find(Boolean);
+          if (existingId) {
+            results.push({ ...result, status: 'duplicate', existingBookId: existingId });
+            continue;
+          }
+          if (earlierRow) {
+            results.push({ ...result, status: 'duplicate', duplicateOfRow: earlierRow });
+            continue;
+          }
+          keys.forEach(key => seenInFile.set(key, row.row));
+
+          if (dryRun) {
+            results.push({ ...result, status: 'ready', readingStatus: row.readingStatus, rating: row.rating, reads: row.reads.length, hasReview: Boolean(row.reviewText) });
+            continue;
+          }
+
+          try {
+            const book = {
+              bookTitle: row.bookTitle,
+              bookAuthor: row.bookAuthor,
+              bookCategory: row.bookCategory,
+              totalPage: row.totalPage,
+              isbn: row.isbn,
+              coverPhoto: '',
+              bookOverview: '',
+              userEmail: userEmail,
+              userName: req.user.name || 'Anonymous',
+              upvote: 0,
+              upvotedBy: [],
+              createdAt: row.dateAdded || now,
+              updatedAt: now,
+              readingStatus: row.readingStatus,
+              shares: 0,
+              importedFrom: format,
+            };
+            const { insertedId } = await booksCollection.insertOne(book);
+            await readingProgressCollection.insertOne(buildImportedProgress(insertedId, userEmail, row, now));
+
+            // Rows with review text become reviews; a rating on its own becomes a quick rating
+            let reviewId = null;
+            if (row.rating && row.reviewText) {
+              const review = await reviewsCollection.insertOne({
+                bookId: insertedId,
+                userEmail: userEmail,
+                userName: req.user.name || 'Anonymous',
+                userPhoto: req.user.photoURL || '',
+                reviewText: row.reviewText,
+                rating: row.rating,
+                likes: 0,
+                dislikes: 0,
+                createdAt: row.reads.length > 0 ? row.reads[row.reads.length - 1].finishedAt : now,
+                importedFrom: format,
+              });
+              reviewId = review.insertedId;
+              await booksCollection.updateOne({ _id: insertedId }, { $inc: { totalReviews: 1 } });
+            }
+            if (row.rating) {
+              await setUserRating(insertedId, userEmail, row.rating, reviewId ? 'review' : 'rating');
+            }
+            results.push({ ...result, status: 'imported', bookId: insertedId, reviewId: reviewId });
+          } catch (error) {
+            logger.error(`Import row ${row.row} error`, { error });
+            results.push({ ...result, status: 'error', errors: ['Server error saving this row'] });
+          }
+        }
+
+        const count = (status) => results.filter(result => result.status === status).length;
+        const summary = {
+          totalRows: results.length,
+          imported: count('imported'),
+          ready: count('ready'),
+          duplicates: count('duplicate'),
+          errors: count('error'),
+        };
+        // One feed entry for the whole import instead of one per book
+        if (summary.imported > 0) {
+          await recordActivity(req.user, 'library_import', { format: format, count: summary.imported });
+        }
+
+        res.status(dryRun ? 200 : 201).json({ dryRun, format, summary, rows: results });
+      } catch (error) {
+        logger.error('Library import error', { error });
+        sendError(res, 500, 'Server error importing library');
+      }
+    });
+
+    // GET /api/users/export - Download the user's books, reviews and bookmarks (`format`: `json` or `csv`)
+    app.get('/api/users/export', verifyFirebaseToken, async (req, res) => {
+      try {
+        const userEmail = req.user.email;
+        const format = req.query.format || 'json';
+        if (!['json', 'csv'].includes(format)) {
+          return sendError(res, 400, 'format must be one of: json, csv');
+        }
+
+        const [ownBooks, reviews, ratings, bookmarks, progressDocs] = await Promise.all([
+          booksCollection.find({ userEmail: userEmail, ...notDeleted }, { projection: { upvotedBy: 0, moderation: 0 } }).toArray(),
+          reviewsCollection.find({ userEmail: userEmail, ...notDeleted }).toArray(),
+          ratingsCollection.find({ userEmail: userEmail }).toArray(),
+          bookmarksCollection.find({ userEmail: userEmail }).toArray(),
+          readingProgressCollection.find({ userEmail: userEmail }).toArray(),
+        ]);
+
+        // Reviewed, rated and bookmarked books may belong to other users
+        const ownIds = new Set(ownBooks.map(book => book._id.toString()));
+        const otherIds = [...reviews, ...ratings, ...bookmarks].map(entry => entry.bookId).filter(bookId => !ownIds.has(bookId.toString()));
+        const otherBooks = await booksCollection.find({ _id: { $in: otherIds }, ...notDeleted }, { projection: { upvotedBy: 0, moderation: 0 } }).toArray();
+        const booksById = new Map([...ownBooks, ...otherBooks].map(book => [book._id.toString(), book]));
+        const withTitle = (entry) => ({ ...entry, bookTitle: booksById.get(entry.bookId.toString())?.bookTitle || null });
+
+        const filename = `bookshelf-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'json') {
+          return res.json({
+            exportedAt: new Date(),
+            books: ownBooks,
+            reviews: reviews.map(withTitle),
+            ratings: ratings.map(withTitle),
+            bookmarks: bookmarks.map(withTitle),
+            readingProgress: progressDocs.map(withTitle),
+          });
+        }
+
+        const reviewsByBook = new Map(reviews.map(review => [review.bookId.toString(), review]));
+        const ratingsByBook = new Map(ratings.map(rating => [rating.bookId.toString(), rating.rating]));
+        const bookmarkedIds = new Set(bookmarks.map(bookmark => bookmark.bookId.toString()));
+        const progressByBook = new Map(progressDocs.map(progress => [progress.bookId.toString(), progress]));
+        const shelfNames = { 'Read': 'read', 'Reading': 'currently-reading', 'Want-to-Read': 'to-read' };
+
+        const records = [...booksById.values()].map(book => {
+          const key = book._id.toString();
+          const review = reviewsByBook.get(key);
+          const progress = progressByBook.get(key);
+          const finishedAt = (progress?.sessions || []).map(session => session.finishedAt).filter(Boolean).sort((a, b) => b - a)[0];
+          const status = progress?.status || (ownIds.has(key) ? book.readingStatus : null);
+          return {
+            'Title': book.bookTitle,
+            'Author': book.bookAuthor,
+            'Category': book.bookCategory,
+            'ISBN13': book.isbn,
+            'Number of Pages': book.totalPage,
+            'My Rating': ratingsByBook.get(key) || review?.rating || 0,
+            'My Review': review?.reviewText,
+            'Exclusive Shelf': shelfNames[status] || 'to-read',
+            'Date Read': finishedAt ? finishedAt.toISOString().slice(0, 10).replace(/-/g, '/') : '',
+            'Read Count': progress?.readCount || 0,
+            'Date Added': (ownIds.has(key) ? book.createdAt : progress?.createdAt)?.toISOString().slice(0, 10).replace(/-/g, '/'),
+            'Bookmarked': bookmarkedIds.has(key) ? 'yes' : 'no',
+            'Owned': ownIds.has(key) ? 'yes' : 'no',
+          };
+        });
+
+        res.type('text/csv').send(toCsv(EXPORT_CSV_HEADERS, records));
+      } catch (error) {
+        logger.error('Library export error', { error });
+        sendError(res, 500, 'Server error exporting library');
+      }
+    });
+    // --- End library import/export --- //
+
+    // GET /api/users/bookmarks - Get bookmarks for the authenticated user
+    app.get('/api/users/bookmarks', verifyFirebaseToken, async (req, res) => {
+      try {
+        const userEmail = req.user.email;
+        const pagination = readPagination(req.query, 'bookmarks');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const { items: userBookmarks, nextCursor } = await findPage(bookmarksCollection, { userEmail: userEmail }, { createdAt: -1 }, pagination, 'bookmarks');
+
+        // For each bookmark, fetch the full book details, most recently bookmarked first
+        const bookIds = userBookmarks.map(bookmark => bookmark.bookId);
+        const books = await booksCollection.find({ _id: { $in: bookIds }, ...notDeleted }).toArray();
+        const booksById = new Map(books.map(book => [book._id.toString(), book]));
+        const bookmarkedBooks = userBookmarks
+          .filter(bookmark => booksById.has(bookmark.bookId.toString()))
+          .map(bookmark => ({ ...presentBook(booksById.get(bookmark.bookId.toString()), req.user), bookmarkedAt: bookmark.createdAt }));
+
+        res.json({ books: bookmarkedBooks, nextCursor });
+      } catch (error) {
+        logger.error('Error fetching user bookmarks', { error });
+        sendError(res, 500, 'Server error fetching user bookmarks');
+      }
+    });
+
+    // GET /api/users/recommendations - Personalized picks built from the books the user rated highly, bookmarked or upvoted
+    app.get('/api/users/recommendations', verifyFirebaseToken, async (req, res) => {
+      try {
+        const userEmail = req.user.email;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+        const [likedRatings, bookmarks, upvotes, ownBooks, trackedProgress] = await Promise.all([
+          ratingsCollection.find({ userEmail: userEmail, rating: { $gte: 4 } }).sort({ updatedAt: -1 }).limit(20).toArray(),
+          bookmarksCollection.find({ userEmail: userEmail }).sort({ createdAt: -1 }).limit(20).toArray(),
+          upvotesCollection.find({ userEmail: userEmail }).sort({ createdAt: -1 }).limit(20).toArray(),
+          booksCollection.find({ userEmail: userEmail }, { projection: { _id: 1 } }).toArray(),
+          readingProgressCollection.find({ userEmail: userEmail }, { projection: { bookId: 1 } }).toArray(),
+        ]);
+
+        // Seeds: what the user liked, with how strongly each kind of signal says so
+        const seedWeights = new Map();
+        const addSeed = (bookId, weight) => seedWeights.set(bookId.toString(), Math.max(seedWeights.get(bookId.toString()) || 0, weight));
+        likedRatings.forEach(rating => addSeed(rating.bookId, 2));
+        bookmarks.forEach(bookmark => addSeed(bookmark.bookId, 1.5));
+        upvotes.forEach(upvote => addSeed(upvote.bookId, 1));
+
+        // Books already in the user's library, bookmarks or history are never recommended
+        const excluded = new Set([
+          ...seedWeights.keys(),
+          ...ownBooks.map(book => book._id.toString()),
+          ...trackedProgress.map(progress => progress.bookId.toString()),
+          ...bookmarks.map(bookmark => bookmark.bookId.toString()),
+        ]);
+
+        const seedBooks = await booksCollection.find(
+          { _id: { $in: [...seedWeights.keys()].map(bookId => new ObjectId(bookId)) }, ...notDeleted },
+          { projection: { bookTitle: 1, bookAuthor: 1, bookCategory: 1 } }
+        ).toArray();
+        const lists = await getSimilarityLists(seedBooks, 3);
+
+        const candidates = new Map();
+        for (const seed of seedBooks) {
+          for (const entry of lists.get(seed._id.toString()) || []) {
+            const key = entry.bookId.toString();
+            if (excluded.has(key)) continue;
+            const contribution = entry.score * seedWeights.get(seed._id.toString());
+            const candidate = candidates.get(key) || { bookId: entry.bookId, score: 0, bestContribution: 0, because: null };
+            candidate.score += contribution;
+            if (contribution > candidate.bestContribution) {
+              candidate.bestContribution = contribution;
+              candidate.because = seed.bookTitle;
+            }
+            candidates.set(key, candidate);
+          }
+        }
+
+        const ranked = [...candidates.values()].sort((a, b) => b.score - a.score).slice(0, limit * 2);
+        const books = await booksCollection.find({ _id: { $in: ranked.map(candidate => candidate.bookId) }, ...notHidden, ...notDeleted }).toArray();
+        const booksById = new Map(books.map(book => [book._id.toString(), book]));
+        const recommendations = ranked
+          .filter(candidate => booksById.has(candidate.bookId.toString()))
+          .slice(0, limit)
+          .map(candidate => ({
+            ...presentBook(booksById.get(candidate.bookId.toString()), req.user),
+            recommendationScore: candidate.score,
+            reason: `Because you liked ${candidate.because}`,
+          }));
+
+        // New readers without enough history get the most upvoted books they don't have yet
+        if (recommendations.length < limit) {
+          const popular = await booksCollection.find({
+            _id: { $nin: [...excluded, ...recommendations.map(book => book._id.toString())].map(bookId => new ObjectId(bookId)) },
+            userEmail: { $ne: userEmail },
+            ...notHidden,
+            ...notDeleted,
+          }).sort({ upvote: -1, _id: 1 }).limit(limit - recommendations.length).toArray();
+          recommendations.push(...popular.map(book => ({ ...presentBook(book, req.user), recommendationScore: 0, reason: 'Popular with readers' })));
+        }
+
+        res.json(recommendations);
+      } catch (error) {
+        logger.error('Get recommendations error', { error });
+        sendError(res, 500, 'Server error fetching recommendations');
+      }
+    });
+
+    // GET /api/users/upvotes - Books the authenticated user has upvoted, most recent vote first
+    app.get('/api/users/upvotes', verifyFirebaseToken, async (req, res) => {
+      try {
+        const userEmail = req.user.email;
+        const pagination = readPagination(req.query, 'upvotes');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const { items: userUpvotes, nextCursor } = await findPage(upvotesCollection, { userEmail: userEmail }, { createdAt: -1 }, pagination, 'upvotes');
+
+        const bookIds = userUpvotes.map(upvote => upvote.bookId);
+        const books = await booksCollection.find({ _id: { $in: bookIds }, ...notDeleted }).toArray();
+        const booksById = new Map(books.map(book => [book._id.toString(), book]));
+
+        const upvotedBooks = userUpvotes
+          .filter(upvote => booksById.has(upvote.bookId.toString()))
+          .map(upvote => ({ ...presentBook(booksById.get(upvote.bookId.toString()), req.user), upvotedAt: upvote.createdAt }));
+
+        res.json({ books: upvotedBooks, nextCursor });
+      } catch (error) {
+        logger.error('Error fetching user upvotes', { error });
+        sendError(res, 500, 'Server error fetching user upvotes');
+      }
+    });
+
+    // Trash routes. Only items the user deleted themselves are listed here; items removed by a moderator are not.
+    const findOwnTrashed = (collection, id, user) => collection.findOne({ _id: new ObjectId(id), userEmail: user.email, deletedBy: user.email });
+
+    // GET /api/users/trash/books - Books the authenticated user deleted, most recently deleted first
+    app.get('/api/users/trash/books', verifyFirebaseToken, async (req, res) => {
+      try {
+        const pagination = readPagination(req.query, 'trash-books');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const query = { userEmail: req.user.email, deletedBy: req.user.email };
+        const { items: books, nextCursor } = await findPage(booksCollection, query, { deletedAt: -1 }, pagination, 'trash-books');
+
+        res.json({ books: books.map(book => presentBook(book, req.user)), nextCursor });
+      } catch (error) {
+        logger.error('Get trashed books error', { error });
+        sendError(res, 500, 'Server error fetching trashed books');
+      }
+    });
+
+    // GET /api/users/trash/reviews - Reviews the authenticated user deleted, most recently deleted first
+    app.get('/api/users/trash/reviews', verifyFirebaseToken, async (req, res) => {
+      try {
+        const pagination = readPagination(req.query, 'trash-reviews');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const query = { userEmail: req.user.email, deletedBy: req.user.email };
+        const { items: reviews, nextCursor } = await findPage(reviewsCollection, query, { deletedAt: -1 }, pagination, 'trash-reviews');
+
+        const books = await booksCollection.find({ _id: { $in: reviews.map(review => review.bookId) } }, { projection: { bookTitle: 1 } }).toArray();
+        const titlesById = new Map(books.map(book => [book._id.toString(), book.bookTitle]));
+
+        res.json({
+          reviews: reviews.map(review => ({ ...review, bookTitle: titlesById.get(review.bookId.toString()) || '' })),
+          nextCursor
+        });
+      } catch (error) {
+        logger.error('Get trashed reviews error', { error });
+        sendError(res, 500, 'Server error fetching trashed reviews');
+      }
+    });
+
+    // POST /api/users/trash/books/:id/restore - Put a deleted book back, with its reviews and activity
+    app.post('/api/users/trash/books/:id/restore', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.id)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+        const book = await findOwnTrashed(booksCollection, req.params.id, req.user);
+        const restored = book && await restoreBook(book);
+        if (!restored) {
+          return sendError(res, 404, 'Book not found in trash');
+        }
+
+        res.json({ message: 'Book restored', book: presentBook(restored, req.user) });
+      } catch (error) {
+        logger.error('Restore book error', { error });
+        sendError(res, 500, 'Server error restoring book');
+      }
+    });
+
+    // POST /api/users/trash/reviews/:id/restore - Put a deleted review and its rating back
+    app.post('/api/users/trash/reviews/:id/restore', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.id)) {
+          return sendError(res, 400, 'Invalid Review ID format', { code: 'invalid_id' });
+        }
+        const review = await findOwnTrashed(reviewsCollection, req.params.id, req.user);
+        if (!review) {
+          return sendError(res, 404, 'Review not found in trash');
+        }
+        const book = await booksCollection.findOne({ _id: review.bookId }, { projection: { deletedAt: 1 } });
+        if (!book) {
+          return sendError(res, 404, 'Book not found');
+        }
+        if (book.deletedAt) {
+          return sendError(res, 409, 'The book this review belongs to has been deleted');
+        }
+
+        const restored = await restoreReview(review);
+        if (!restored) {
+          return sendError(res, 404, 'Review not found in trash');
+        }
+
+        res.json({ message: 'Review restored', ...restored });
+      } catch (error) {
+        logger.error('Restore review error', { error });
+        sendError(res, 500, 'Server error restoring review');
+      }
+    });
+
+    // DELETE /api/users/trash/books/:id - Permanently delete a book from the trash without waiting for the purge
+    app.delete('/api/users/trash/books/:id', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.id)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+        const book = await findOwnTrashed(booksCollection, req.params.id, req.user);
+        if (!book) {
+          return sendError(res, 404, 'Book not found in trash');
+        }
+
+        await deleteBookCascade(book._id);
+        res.json({ message: 'Book permanently deleted' });
+      } catch (error) {
+        logger.error('Purge book error', { error });
+        sendError(res, 500, 'Server error permanently deleting book');
+      }
+    });
+
+    // DELETE /api/users/trash/reviews/:id - Permanently delete a review from the trash without waiting for the purge
+    app.delete('/api/users/trash/reviews/:id', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        if (!ObjectId.isValid(req.params.id)) {
+          return sendError(res, 400, 'Invalid Review ID format', { code: 'invalid_id' });
+        }
+        const review = await findOwnTrashed(reviewsCollection, req.params.id, req.user);
+        if (!review || !(await purgeReview(review))) {
+          return sendError(res, 404, 'Review not found in trash');
+        }
+
+        res.json({ message: 'Review permanently deleted' });
+      } catch (error) {
+        logger.error('Purge review error', { error });
+        sendError(res, 500, 'Server error permanently deleting review');
+      }
+    });
+
+    // GET /api/users/goals - All of the authenticated user's yearly reading goals with progress
+    app.get('/api/users/goals', verifyFirebaseToken, async (req, res) => {
+      try {
+        const pagination = readPagination(req.query, 'goals');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const { items: goals, nextCursor } = await findPage(readingGoalsCollection, { userEmail: req.user.email }, { year: -1 }, pagination, 'goals');
+        res.json({ goals: await Promise.all(goals.map(computeGoalProgress)), nextCursor });
+      } catch (error) {
+        logger.error('Get reading goals error', { error });
+        sendError(res, 500, 'Server error fetching reading goals');
+      }
+    });
+
+    // GET /api/users/goals/:year - One yearly goal with progress and pace
+    app.get('/api/users/goals/:year', verifyFirebaseToken, async (req, res) => {
+      try {
+        const year = parseInt(req.params.year);
+        if (!Number.isInteger(year) || year < 1900 || year > 9999) {
+          return sendError(res, 400, 'Invalid year');
+        }
+
+        const goal = await readingGoalsCollection.findOne({ userEmail: req.user.email, year: year });
+        if (!goal) {
+          return sendError(res, 404, 'No reading goal set for this year');
+        }
+
+        res.json(await computeGoalProgress(goal));
+      } catch (error) {
+        logger.error('Get reading goal error', { error });
+        sendError(res, 500, 'Server error fetching reading goal');
+      }
+    });
+
+    // PUT /api/users/goals/:year - Create or update a yearly goal. Body: { targetBooks, targetPages? }
+    app.put('/api/users/goals/:year', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const year = parseInt(req.params.year);
+        if (!Number.isInteger(year) || year < 1900 || year > 9999) {
+          return sendError(res, 400, 'Invalid year');
+        }
+        const { targetBooks, targetPages } = req.body;
+        if (!Number.isInteger(targetBooks) || targetBooks < 1 || targetBooks > 10000) {
+          return sendError(res, 400, 'targetBooks must be an integer between 1 and 10000');
+        }
+        if (targetPages !== undefined && targetPages !== null && (!Number.isInteger(targetPages) || targetPages < 1)) {
+          return sendError(res, 400, 'targetPages must be a positive integer');
+        }
+
+        const now = new Date();
+        await readingGoalsCollection.updateOne(
+          { userEmail: req.user.email, year: year },
+          { $set: { targetBooks, targetPages: targetPages || null, updatedAt: now }, $setOnInsert: { createdAt: now } },
+          { upsert: true }
+        );
+
+        const goal = await readingGoalsCollection.findOne({ userEmail: req.user.email, year: year });
+        res.json({ message: 'Reading goal saved successfully', goal: await computeGoalProgress(goal) });
+      } catch (error) {
+        logger.error('Save reading goal error', { error });
+        sendError(res, 500, 'Server error saving reading goal');
+      }
+    });
+
+    // DELETE /api/users/goals/:year - Remove a yearly goal
+    app.delete('/api/users/goals/:year', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const year = parseInt(req.params.year);
+        const result = await readingGoalsCollection.deleteOne({ userEmail: req.user.email, year: year });
+        if (result.deletedCount === 0) {
+          return sendError(res, 404, 'No reading goal set for this year');
+        }
+        res.json({ message: 'Reading goal removed successfully' });
+      } catch (error) {
+        logger.error('Delete reading goal error', { error });
+        sendError(res, 500, 'Server error removing reading goal');
+      }
+    });
+
+    // Challenge Routes - time-boxed community challenges, e.g. "5 sci-fi books this month"
+    // POST /api/challenges - Create a challenge. Body: { title, description?, bookCategory?, targetBooks, startsAt, endsAt }
+    app.post('/api/challenges', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const { title, description, bookCategory, targetBooks } = req.body;
+        const startsAt = new Date(req.body.startsAt);
+        const endsAt = new Date(req.body.endsAt);
+
+        if (typeof title !== 'string' || !title.trim() || title.length > 120) {
+          return sendError(res, 400, 'title is required and must be at most 120 characters');
+        }
+        if (description !== undefined && (typeof description !== 'string' || description.length > 1000)) {
+          return sendError(res, 400, 'description must be a string of at most 1000 characters');
+        }
+        if (bookCategory !== undefined && bookCategory !== null && typeof bookCategory !== 'string') {
+          return sendError(res, 400, 'bookCategory must be a string');
+        }
+        if (!Number.isInteger(targetBooks) || targetBooks < 1 || targetBooks > 1000) {
+          return sendError(res, 400, 'targetBooks must be an integer between 1 and 1000');
+        }
+        if (isNaN(startsAt) || isNaN(endsAt) || startsAt >= endsAt) {
+          return sendError(res, 400, 'startsAt and endsAt must be valid dates with startsAt before endsAt');
+        }
+
+        const challenge = {
+          title: title.trim(),
+          description: description || '',
+          bookCategory: bookCategory || null,
+          targetBooks,
+          startsAt,
+          endsAt,
+          createdBy: req.user.email,
+          createdByName: req.user.name || 'Anonymous',
+          participantCount: 0,
+          createdAt: new Date(),
+        };
+        const result = await challengesCollection.insertOne(challenge);
+        res.status(201).json({ _id: result.insertedId, ...challenge });
+      } catch (error) {
+        logger.error('Create challenge error', { error });
+        sendError(res, 500, 'Server error creating challenge');
+      }
+    });
+
+    // GET /api/challenges - List challenges (does not require authentication). Query: status=active|upcoming|past|all (default active)
+    app.get('/api/challenges', optionalFirebaseToken, async (req, res) => {
+      try {
+        const status = req.query.status || 'active';
+        const now = new Date();
+        const statusQueries = {
+          active: { startsAt: { $lte: now }, endsAt: { $gt: now } },
+          upcoming: { startsAt: { $gt: now } },
+          past: { endsAt: { $lte: now } },
+          all: {},
+        };
+        if (!statusQueries[status]) {
+          return sendError(res, 400, 'Invalid status. Use one of: active, upcoming, past, all');
+        }
+
+        const pagination = readPagination(req.query, `challenges:${status}`);
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const { items: challenges, nextCursor } = await findPage(challengesCollection, statusQueries[status], { endsAt: 1 }, pagination, `challenges:${status}`);
+
+        let joinedIds = new Set();
+        if (req.user) {
+          const memberships = await challengeParticipantsCollection.find({
+            userEmail: req.user.email,
+            challengeId: { $in: challenges.map(challenge => challenge._id) }
+          }).toArray();
+          joinedIds = new Set(memberships.map(membership => membership.challengeId.toString()));
+        }
+
+        res.json({ challenges: challenges.map(challenge => ({ ...challenge, joined: joinedIds.has(challenge._id.toString()) })), nextCursor });
+      } catch (error) {
+        logger.error('Get challenges error', { error });
+        sendError(res, 500, 'Server error fetching challenges');
+      }
+    });
+
+    // GET /api/challenges/:id - Get a single challenge (does not require authentication)
+    app.get('/api/challenges/:id', optionalFirebaseToken, async (req, res) => {
+      try {
+        const challengeId = req.params.id;
+        if (!ObjectId.isValid(challengeId)) {
+          return sendError(res, 400, 'Invalid Challenge ID format', { code: 'invalid_id' });
+        }
+        const challenge = await challengesCollection.findOne({ _id: new ObjectId(challengeId) });
+        if (!challenge) {
+          return sendError(res, 404, 'Challenge not found');
+        }
+
+        const joined = req.user
+          ? !!(await challengeParticipantsCollection.findOne({ challengeId: challenge._id, userEmail: req.user.email }))
+          : false;
+
+        res.json({ ...challenge, joined });
+      } catch (error) {
+        logger.error('Get challenge error', { error });
+        sendError(res, 500, 'Server error fetching challenge');
+      }
+    });
+
+    // DELETE /api/challenges/:id - Delete a challenge (creator only)
+    app.delete('/api/challenges/:id', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const challengeId = req.params.id;
+        if (!ObjectId.isValid(challengeId)) {
+          return sendError(res, 400, 'Invalid Challenge ID format', { code: 'invalid_id' });
+        }
+        const challenge = await challengesCollection.findOne({ _id: new ObjectId(challengeId) });
+        if (!challenge) {
+          return sendError(res, 404, 'Challenge not found');
+        }
+        if (challenge.createdBy !== req.user.email && !isModerator(req.user)) {
+          return sendError(res, 403, 'Not authorized to delete this challenge');
+        }
+        if (challenge.createdBy !== req.user.email) {
+          await recordAudit(req.user, 'challenge.delete', 'challenge', challenge._id, { title: challenge.title, owner: challenge.createdBy });
+        }
+
+        await challengesCollection.deleteOne({ _id: challenge._id });
+        await challengeParticipantsCollection.deleteMany({ challengeId: challenge._id });
+
+        res.json({ message: 'Challenge deleted successfully' });
+      } catch (error) {
+        logger.error('Delete challenge error', { error });
+        sendError(res, 500, 'Server error deleting challenge');
+      }
+    });
+
+    // POST /api/challenges/:id/join - Join a challenge that has not ended yet
+    app.post('/api/challenges/:id/join', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const challengeId = req.params.id;
+        if (!ObjectId.isValid(challengeId)) {
+          return sendError(res, 400, 'Invalid Challenge ID format', { code: 'invalid_id' });
+        }
+        const challenge = await challengesCollection.findOne({ _id: new ObjectId(challengeId) });
+        if (!challenge) {
+          return sendError(res, 404, 'Challenge not found');
+        }
+        if (challenge.endsAt <= new Date()) {
+          return sendError(res, 400, 'This challenge has already ended');
+        }
+
+        const result = await challengeParticipantsCollection.updateOne(
+          { challengeId: challenge._id, userEmail: req.user.email },
+          { $setOnInsert: { userName: req.user.name || 'Anonymous', userPhoto: req.user.photoURL || '', joinedAt: new Date() } },
+          { upsert: true }
+        );
+        if (result.upsertedCount === 0) {
+          return sendError(res, 400, 'You have already joined this challenge');
+        }
+
+        await challengesCollection.updateOne({ _id: challenge._id }, { $inc: { participantCount: 1 } });
+        res.status(201).json({ message: 'Joined challenge successfully' });
+      } catch (error) {
+        logger.error('Join challenge error', { error });
+        sendError(res, 500, 'Server error joining challenge');
+      }
+    });
+
+    // DELETE /api/challenges/:id/join - Leave a challenge
+    app.delete('/api/challenges/:id/join', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const challengeId = req.params.id;
+        if (!ObjectId.isValid(challengeId)) {
+          return sendError(res, 400, 'Invalid Challenge ID format', { code: 'invalid_id' });
+        }
+
+        const result = await challengeParticipantsCollection.deleteOne({ challengeId: new ObjectId(challengeId), userEmail: req.user.email });
+        if (result.deletedCount === 0) {
+          return sendError(res, 404, 'You have not joined this challenge');
+        }
+
+        await challengesCollection.updateOne({ _id: new ObjectId(challengeId) }, { $inc: { participantCount: -1 } });
+        res.json({ message: 'Left challenge successfully' });
+      } catch (error) {
+        logger.error('Leave challenge error', { error });
+        sendError(res, 500, 'Server error leaving challenge');
+      }
+    });
+
+    // GET /api/challenges/:id/leaderboard - Participants ranked by books finished inside the challenge window (does not require authentication)
+    app.get('/api/challenges/:id/leaderboard', async (req, res) => {
+      try {
+        const challengeId = req.params.id;
+        if (!ObjectId.isValid(challengeId)) {
+          return sendError(res, 400, 'Invalid Challenge ID format', { code: 'invalid_id' });
+        }
+        // Ranks are computed per request, so the cursor is a position in the ranking
+        const pagination = readPagination(req.query, 'leaderboard');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const challenge = await challengesCollection.findOne({ _id: new ObjectId(challengeId) });
+        if (!challenge) {
+          return sendError(res, 404, 'Challenge not found');
+        }
+
+        const participants = await challengeParticipantsCollection.find({ challengeId: challenge._id }).toArray();
+        const reads = await findFinishedReads(
+          participants.map(participant => participant.userEmail),
+          challenge.startsAt,
+          challenge.endsAt,
+          challenge.bookCategory
+        );
+
+        const leaderboard = participants
+          .map(participant => {
+            const booksCompleted = reads.filter(read => read.userEmail === participant.userEmail).length;
+            return {
+              userName: participant.userName,
+              userPhoto: participant.userPhoto,
+              booksCompleted,
+              completed: booksCompleted >= challenge.targetBooks,
+              joinedAt: participant.joinedAt,
+            };
+          })
+          .sort((a, b) => b.booksCompleted - a.booksCompleted || a.joinedAt - b.joinedAt || (a.userName || '').localeCompare(b.userName || ''))
+          .map((entry, index) => ({ rank: index + 1, ...entry }));
+        const { offset } = pagination;
+
+        res.json({
+          challengeId: challenge._id,
+          targetBooks: challenge.targetBooks,
+          leaderboard: leaderboard.slice(offset, offset + pagination.limit),
+          nextCursor: nextOffsetCursor('leaderboard', offset, pagination.limit, offset + pagination.limit < leaderboard.length),
+        });
+      } catch (error) {
+        logger.error('Get challenge leaderboard error', { error });
+        sendError(res, 500, 'Server error fetching challenge leaderboard');
+      }
+    });
+
+    // Shelf Routes - custom named shelves. The "bookmarks" shelf id always refers to the default bookmark list.
+    // GET /api/users/shelves - The authenticated user's shelves in display order, default shelf first
+    app.get('/api/users/shelves', verifyFirebaseToken, async (req, res) => {
+      try {
+        const userEmail = req.user.email;
+        const pagination = readPagination(req.query, 'shelves');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const { items: shelves, nextCursor } = await findPage(shelvesCollection, { userEmail: userEmail }, { position: 1, createdAt: 1 }, pagination, 'shelves');
+        // The bookmarks shelf is not stored with the others; it leads the first page
+        const firstPage = !pagination.after && pagination.offset === 0;
+        const listed = firstPage ? [await getBookmarksShelf(userEmail), ...shelves] : shelves;
+
+        res.json({ shelves: listed.map(shelf => presentShelf(shelf)), nextCursor });
+      } catch (error) {
+        logger.error('Get shelves error', { error });
+        sendError(res, 500, 'Server error fetching shelves');
+      }
+    });
+
+    // POST /api/users/shelves - Create a shelf. Body: { name, description?, visibility? }
+    app.post('/api/users/shelves', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const userEmail = req.user.email;
+        const { name, description, visibility } = req.body;
+        const validationError = validateShelfFields({ name, description, visibility }, { partial: false });
+        if (validationError) {
+          return sendError(res, 400, validationError);
+        }
+
+        const existingShelf = await shelvesCollection.findOne({ userEmail: userEmail, nameKey: name.trim().toLowerCase() });
+        if (existingShelf) {
+          return sendError(res, 400, 'You already have a shelf with this name');
+        }
+
+        const lastShelf = await shelvesCollection.find({ userEmail: userEmail }).sort({ position: -1 }).limit(1).toArray();
+        const shelf = {
+          userEmail: userEmail,
+          userId: req.user.uid,
+          name: name.trim(),
+          nameKey: name.trim().toLowerCase(),
+          description: description || '',
+          visibility: visibility || 'private',
+          position: lastShelf.length > 0 ? lastShelf[0].position + 1 : 0,
+          books: [],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        };
+
+        const result = await shelvesCollection.insertOne(shelf);
+        res.status(201).json(presentShelf({ _id: result.insertedId, ...shelf }, []));
+      } catch (error) {
+        logger.error('Create shelf error', { error });
+        sendError(res, 500, 'Server error creating shelf');
+      }
+    });
+
+    // PUT /api/users/shelves/order - Reorder shelves. Body: { shelfIds: [...] } in the new display order
+    app.put('/api/users/shelves/order', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const userEmail = req.user.email;
+        const { shelfIds } = req.body;
+        if (!Array.isArray(shelfIds) || !shelfIds.every(shelfId => ObjectId.isValid(shelfId))) {
+          return sendError(res, 400, 'shelfIds must be an array of shelf IDs');
+        }
+
+        const shelves = await shelvesCollection.find({ userEmail: userEmail }, { projection: { _id: 1 } }).toArray();
+        const ownIds = new Set(shelves.map(shelf => shelf._id.toString()));
+        if (shelfIds.length !== ownIds.size || new Set(shelfIds).size !== ownIds.size || !shelfIds.every(shelfId => ownIds.has(shelfId))) {
+          return sendError(res, 400, 'shelfIds must list each of your shelves exactly once');
+        }
+
+        await shelvesCollection.bulkWrite(shelfIds.map((shelfId, index) => ({
+          updateOne: { filter: { _id: new ObjectId(shelfId), userEmail: userEmail }, update: { $set: { position: index, updatedAt: new Date() } } }
+        })));
+
+        res.json({ message: 'Shelves reordered successfully' });
+      } catch (error) {
+        logger.error('Reorder shelves error', { error });
+        sendError(res, 500, 'Server error reordering shelves');
+      }
+    });
+
+    // GET /api/users/shelves/:shelfId - A shelf with its books. Public shelves can be viewed by anyone.
+    app.get('/api/users/shelves/:shelfId', optionalFirebaseToken, async (req, res) => {
+      try {
+        const shelfId = req.params.shelfId;
+        // Shelf books are in the owner's chosen order, so the cursor is a position on the shelf
+        const pagination = readPagination(req.query, 'shelf-books');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const { offset } = pagination;
+        const pageOf = (entries) => entries.slice(offset, offset + pagination.limit).map(entry => entry.bookId);
+        const nextCursorOf = (entries) => nextOffsetCursor('shelf-books', offset, pagination.limit, offset + pagination.limit < entries.length);
+
+        if (shelfId === BOOKMARKS_SHELF_ID) {
+          if (!req.user) {
+            return sendError(res, 401, 'Unauthorized access: No token provided or invalid format');
+          }
+          const bookmarksShelf = await getBookmarksShelf(req.user.email);
+          const books = await findBooksInOrder(pageOf(bookmarksShelf.books));
+          return res.json({ ...presentShelf(bookmarksShelf, books, req.user), nextCursor: nextCursorOf(bookmarksShelf.books) });
+        }
+
+        if (!ObjectId.isValid(shelfId)) {
+          return sendError(res, 400, 'Invalid Shelf ID format', { code: 'invalid_id' });
+        }
+        const shelf = await shelvesCollection.findOne({ _id: new ObjectId(shelfId) });
+        // Private shelves are reported as missing to everyone but their owner
+        if (!shelf || (shelf.visibility !== 'public' && (!req.user || shelf.userEmail !== req.user.email))) {
+          return sendError(res, 404, 'Shelf not found');
+        }
+
+        const books = await findBooksInOrder(pageOf(shelf.books));
+        res.json({ ...presentShelf(shelf, books, req.user), nextCursor: nextCursorOf(shelf.books) });
+      } catch (error) {
+        logger.error('Get shelf error', { error });
+        sendError(res, 500, 'Server error fetching shelf');
+      }
+    });
+
+    // PATCH /api/users/shelves/:shelfId - Rename a shelf or change its description or visibility
+    app.patch('/api/users/shelves/:shelfId', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const shelfId = req.params.shelfId;
+        const userEmail = req.user.email;
+        if (shelfId === BOOKMARKS_SHELF_ID) {
+          return sendError(res, 400, 'The default Bookmarks shelf cannot be changed');
+        }
+        if (!ObjectId.isValid(shelfId)) {
+          return sendError(res, 400, 'Invalid Shelf ID format', { code: 'invalid_id' });
+        }
+
+        const { name, description, visibility } = req.body;
+        const validationError = validateShelfFields({ name, description, visibility }, { partial: true });
+        if (validationError) {
+          return sendError(res, 400, validationError);
+        }
+
+        const shelf = await shelvesCollection.findOne({ _id: new ObjectId(shelfId), userEmail: userEmail });
+        if (!shelf) {
+          return sendError(res, 404, 'Shelf not found');
+        }
+
+        const updateDoc = { $set: { updatedAt: new Date() } };
+        if (name !== undefined) {
+          const nameKey = name.trim().toLowerCase();
+          const sameName = await shelvesCollection.findOne({ userEmail: userEmail, nameKey: nameKey, _id: { $ne: shelf._id } });
+          if (sameName) {
+            return sendError(res, 400, 'You already have a shelf with this name');
+          }
+          updateDoc.$set.name = name.trim();
+          updateDoc.$set.nameKey = nameKey;
+        }
+        if (description !== undefined) updateDoc.$set.description = description;
+        if (visibility !== undefined) updateDoc.$set.visibility = visibility;
+
+        await shelvesCollection.updateOne({ _id: shelf._id }, updateDoc);
+        const updatedShelf = await shelvesCollection.findOne({ _id: shelf._id });
+        res.json({ message: 'Shelf updated successfully', shelf: presentShelf(updatedShelf) });
+      } catch (error) {
+        logger.error('Update shelf error', { error });
+        sendError(res, 500, 'Server error updating shelf');
+      }
+    });
+
+    // DELETE /api/users/shelves/:shelfId - Delete a shelf (the books themselves are untouched)
+    app.delete('/api/users/shelves/:shelfId', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const shelfId = req.params.shelfId;
+        if (shelfId === BOOKMARKS_SHELF_ID) {
+          return sendError(res, 400, 'The default Bookmarks shelf cannot be deleted');
+        }
+        if (!ObjectId.isValid(shelfId)) {
+          return sendError(res, 400, 'Invalid Shelf ID format', { code: 'invalid_id' });
+        }
+
+        const result = await shelvesCollection.deleteOne({ _id: new ObjectId(shelfId), userEmail: req.user.email });
+        if (result.deletedCount === 0) {
+          return sendError(res, 404, 'Shelf not found');
+        }
+
+        res.json({ message: 'Shelf deleted successfully' });
+      } catch (error) {
+        logger.error('Delete shelf error', { error });
+        sendError(res, 500, 'Server error deleting shelf');
+      }
+    });
+
+    // POST /api/users/shelves/:shelfId/books - Put a book on a shelf. Body: { bookId, position? } (appended by default)
+    app.post('/api/users/shelves/:shelfId/books', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const shelfId = req.params.shelfId;
+        const userEmail = req.user.email;
+        const { bookId, position } = req.body;
+        if (!ObjectId.isValid(bookId)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+        if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+          return sendError(res, 400, 'position must be a non-negative integer');
+        }
+
+        const book = await booksCollection.findOne({ _id: new ObjectId(bookId), ...notDeleted });
+        if (!book) {
+          return sendError(res, 404, 'Book not found');
+        }
+
+        if (shelfId === BOOKMARKS_SHELF_ID) {
+          const existingBookmark = await bookmarksCollection.findOne({ bookId: book._id, userEmail: userEmail });
+          if (existingBookmark) {
+            return sendError(res, 400, 'Book already bookmarked');
+          }
+          await bookmarksCollection.insertOne({ bookId: book._id, userEmail: userEmail, createdAt: new Date() });
+          await recordActivity(req.user, 'bookmark', { bookId: book._id, bookTitle: book.bookTitle });
+          return res.status(201).json({ message: 'Book added to shelf successfully' });
+        }
+
+        if (!ObjectId.isValid(shelfId)) {
+          return sendError(res, 400, 'Invalid Shelf ID format', { code: 'invalid_id' });
+        }
+
+        const result = await shelvesCollection.updateOne(
+          { _id: new ObjectId(shelfId), userEmail: userEmail, 'books.bookId': { $ne: book._id } },
+          {
+            $push: { books: { $each: [{ bookId: book._id, addedAt: new Date() }], ...(position !== undefined ? { $position: position } : {}) } },
+            $set: { updatedAt: new Date() }
+          }
+        );
+
+        if (result.matchedCount === 0) {
+          const shelf = await shelvesCollection.findOne({ _id: new ObjectId(shelfId), userEmail: userEmail });
+          if (!shelf) {
+            return sendError(res, 404, 'Shelf not found');
+          }
+          return sendError(res, 400, 'Book is already on this shelf');
+        }
+
+        res.status(201).json({ message: 'Book added to shelf successfully' });
+      } catch (error) {
+        logger.error('Add book to shelf error', { error });
+        sendError(res, 500, 'Server error adding book to shelf');
+      }
+    });
+
+    // PUT /api/users/shelves/:shelfId/books/order - Reorder a shelf's books. Body: { bookIds: [...] } in the new order
+    app.put('/api/users/shelves/:shelfId/books/order', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const shelfId = req.params.shelfId;
+        const userEmail = req.user.email;
+        if (shelfId === BOOKMARKS_SHELF_ID) {
+          return sendError(res, 400, 'The default Bookmarks shelf is ordered by date added');
+        }
+        if (!ObjectId.isValid(shelfId)) {
+          return sendError(res, 400, 'Invalid Shelf ID format', { code: 'invalid_id' });
+        }
+        const { bookIds } = req.body;
+        if (!Array.isArray(bookIds) || !bookIds.every(bookId => ObjectId.isValid(bookId))) {
+          return sendError(res, 400, 'bookIds must be an array of book IDs');
+        }
+
+        const shelf = await shelvesCollection.findOne({ _id: new ObjectId(shelfId), userEmail: userEmail });
+        if (!shelf) {
+          return sendError(res, 404, 'Shelf not found');
+        }
+
+        const entriesById = new Map(shelf.books.map(entry => [entry.bookId.toString(), entry]));
+        if (bookIds.length !== entriesById.size || new Set(bookIds).size !== entriesById.size || !bookIds.every(bookId => entriesById.has(bookId))) {
+          return sendError(res, 400, 'bookIds must list each book on the shelf exactly once');
+        }
+
+        await shelvesCollection.updateOne(
+          { _id: shelf._id },
+          { $set: { books: bookIds.map(bookId => entriesById.get(bookId)), updatedAt: new Date() } }
+        );
+
+        res.json({ message: 'Shelf reordered successfully' });
+      } catch (error) {
+        logger.error('Reorder shelf books error', { error });
+        sendError(res, 500, 'Server error reordering shelf');
+      }
+    });
+
+    // DELETE /api/users/shelves/:shelfId/books/:bookId - Take a book off a shelf
+    app.delete('/api/users/shelves/:shelfId/books/:bookId', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const { shelfId, bookId } = req.params;
+        const userEmail = req.user.email;
+        if (!ObjectId.isValid(bookId)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+
+        if (shelfId === BOOKMARKS_SHELF_ID) {
+          const result = await bookmarksCollection.deleteOne({ bookId: new ObjectId(bookId), userEmail: userEmail });
+          if (result.deletedCount === 0) {
+            return sendError(res, 404, 'Book is not on this shelf');
+          }
+          await retractActivity(req.user, 'bookmark', { bookId: new ObjectId(bookId) });
+          return res.json({ message: 'Book removed from shelf successfully' });
+        }
+
+        if (!ObjectId.isValid(shelfId)) {
+          return sendError(res, 400, 'Invalid Shelf ID format', { code: 'invalid_id' });
+        }
+
+        const result = await shelvesCollection.updateOne(
+          { _id: new ObjectId(shelfId), userEmail: userEmail, 'books.bookId': new ObjectId(bookId) },
+          { $pull: { books: { bookId: new ObjectId(bookId) } }, $set: { updatedAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+          return sendError(res, 404, 'Shelf not found or book is not on this shelf');
+        }
+
+        res.json({ message: 'Book removed from shelf successfully' });
+      } catch (error) {
+        logger.error('Remove book from shelf error', { error });
+        sendError(res, 500, 'Server error removing book from shelf');
+      }
+    });
+
+    // Notification Routes - Protected with verifyFirebaseToken
+    // GET /api/notifications - Paginated notifications, newest first. Query: page, limit, unreadOnly=true
+    app.get('/api/notifications', verifyFirebaseToken, async (req, res) => {
+      try {
+        const unreadOnly = req.query.unreadOnly === 'true';
+        const pagination = readPagination(req.query, `notifications:${unreadOnly}`);
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const query = { recipientEmail: req.user.email, ...notDeleted };
+        if (unreadOnly) query.read = false;
+
+        const [unreadCount, { items: notifications, nextCursor }] = await Promise.all([
+          notificationsCollection.countDocuments({ recipientEmail: req.user.email, read: false, ...notDeleted }),
+          findPage(notificationsCollection, query, { createdAt: -1 }, pagination, `notifications:${unreadOnly}`, { projection: { recipientEmail: 0 } }),
+        ]);
+
+        res.json({
+          notifications,
+          nextCursor,
+          unreadCount
+        });
+      } catch (error) {
+        logger.error('Get notifications error', { error });
+        sendError(res, 500, 'Server error fetching notifications');
+      }
+    });
+
+    // GET /api/notifications/unread-count - Number of unread notifications (for the bell icon)
+    app.get('/api/notifications/unread-count', verifyFirebaseToken, async (req, res) => {
+      try {
+        const unreadCount = await notificationsCollection.countDocuments({ recipientEmail: req.user.email, read: false, ...notDeleted });
+        res.json({ unreadCount });
+      } catch (error) {
+        logger.error('Get unread notification count error', { error });
+        sendError(res, 500, 'Server error fetching unread notification count');
+      }
+    });
+
+    // GET /api/notifications/stream - Server-Sent Events stream of new notifications and unread counts.
+    // EventSource cannot send headers, so the Firebase ID token may be passed as ?token= instead.
+    app.get('/api/notifications/stream', (req, res, next) => {
+      if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+      }
+      next();
+    }, verifyFirebaseToken, async (req, res) => {
+      const userEmail = req.user.email;
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable proxy buffering so events arrive immediately
+      });
+      res.flushHeaders();
+
+      if (!notificationStreams.has(userEmail)) notificationStreams.set(userEmail, new Set());
+      notificationStreams.get(userEmail).add(res);
+
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), NOTIFICATION_STREAM_HEARTBEAT_MS);
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        const streams = notificationStreams.get(userEmail);
+        if (streams) {
+          streams.delete(res);
+          if (streams.size === 0) notificationStreams.delete(userEmail);
+        }
+      });
+
+      try {
+        const unreadCount = await notificationsCollection.countDocuments({ recipientEmail: userEmail, read: false, ...notDeleted });
+        res.write(`event: unread-count\ndata: ${JSON.stringify({ unreadCount })}\n\n`);
+      } catch (error) {
+        logger.error('Notification stream unread count error', { error });
+      }
+    });
+
+    // POST /api/notifications/read-all - Mark every notification as read
+    app.post('/api/notifications/read-all', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const result = await notificationsCollection.updateMany(
+          { recipientEmail: req.user.email, read: false },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        sendToStreams(req.user.email, 'unread-count', { unreadCount: 0 });
+        res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+      } catch (error) {
+        logger.error('Mark all notifications read error', { error });
+        sendError(res, 500, 'Server error marking notifications as read');
+      }
+    });
+
+    // GET /api/notifications/preferences - Which notification types are switched on (all are on by default)
+    app.get('/api/notifications/preferences', verifyFirebaseToken, async (req, res) => {
+      try {
+        const user = await usersCollection.findOne({ _id: req.user.uid }, { projection: { notificationPreferences: 1 } });
+        const saved = (user && user.notificationPreferences) || {};
+        res.json(Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, saved[type] !== false])));
+      } catch (error) {
+        logger.error('Get notification preferences error', { error });
+        sendError(res, 500, 'Server error fetching notification preferences');
+      }
+    });
+
+    // PUT /api/notifications/preferences - Switch notification types on or off. Body: { review: false, upvote: true, ... }
+    app.put('/api/notifications/preferences', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const updates = req.body || {};
+        const invalidKey = Object.keys(updates).find(key => !NOTIFICATION_TYPES.includes(key) || typeof updates[key] !== 'boolean');
+        if (invalidKey) {
+          return sendError(res, 400, `Invalid preference "${invalidKey}". Use booleans for: ${NOTIFICATION_TYPES.join(', ')}`);
+        }
+
+        const $set = { updatedAt: new Date() };
+        for (const [type, enabled] of Object.entries(updates)) {
+          $set[`notificationPreferences.${type}`] = enabled;
+        }
+        await usersCollection.updateOne({ _id: req.user.uid }, { $set });
+
+        const user = await usersCollection.findOne({ _id: req.user.uid }, { projection: { notificationPreferences: 1 } });
+        const saved = (user && user.notificationPreferences) || {};
+        res.json(Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, saved[type] !== false])));
+      } catch (error) {
+        logger.error('Update notification preferences error', { error });
+        sendError(res, 500, 'Server error updating notification preferences');
+      }
+    });
+
+    // PATCH /api/notifications/:id/read - Mark one notification as read
+    app.patch('/api/notifications/:id/read', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const notificationId = req.params.id;
+        if (!ObjectId.isValid(notificationId)) {
+          return sendError(res, 400, 'Invalid Notification ID format', { code: 'invalid_id' });
+        }
+
+        const result = await notificationsCollection.updateOne(
+          { _id: new ObjectId(notificationId), recipientEmail: req.user.email },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+          return sendError(res, 404, 'Notification not found');
+        }
+
+        const unreadCount = await notificationsCollection.countDocuments({ recipientEmail: req.user.email, read: false, ...notDeleted });
+        sendToStreams(req.user.email, 'unread-count', { unreadCount });
+        res.json({ message: 'Notification marked as read', unreadCount });
+      } catch (error) {
+        logger.error('Mark notification read error', { error });
+        sendError(res, 500, 'Server error marking notification as read');
+      }
+    });
+
+    // POST /api/books/:id/report - Report a book listing. Body: { reason, note? }
+    app.post('/api/books/:id/report', verifyFirebaseToken, rateLimit('report'), async (req, res) => {
+      try {
+        const bookId = req.params.id;
+        if (!ObjectId.isValid(bookId)) {
+          return sendError(res, 400, 'Invalid Book ID format', { code: 'invalid_id' });
+        }
+        await submitReport(req, res, 'book', new ObjectId(bookId));
+      } catch (error) {
+        logger.error('Report book error', { error });
+        sendError(res, 500, 'Server error reporting book');
+      }
+    });
+
+    // POST /api/reviews/:reviewId/report - Report a review. Body: { reason, note? }
+    app.post('/api/reviews/:reviewId/report', verifyFirebaseToken, rateLimit('report'), async (req, res) => {
+      try {
+        const reviewId = req.params.reviewId;
+        if (!ObjectId.isValid(reviewId)) {
+          return sendError(res, 400, 'Invalid Review ID format', { code: 'invalid_id' });
+        }
+        await submitReport(req, res, 'review', new ObjectId(reviewId));
+      } catch (error) {
+        logger.error('Report review error', { error });
+        sendError(res, 500, 'Server error reporting review');
       }
     });
 
     // Like a review
-    app.post('/api/reviews/:reviewId/like', verifyFirebaseToken, async (req, res) => {
+    app.post('/api/reviews/:reviewId/like', verifyFirebaseToken, rateLimit('reaction'), async (req, res) => {
       try {
         const reviewId = req.params.reviewId;
-        const userEmail = req.user.email;
 
         if (!ObjectId.isValid(reviewId)) {
-          return res.status(400).json({ message: 'Invalid Review ID format' });
+          return sendError(res, 400, 'Invalid Review ID format', { code: 'invalid_id' });
         }
 
         // Check if review exists
-        const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId) });
+        const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId), ...notDeleted });
         if (!review) {
-          return res.status(404).json({ message: 'Review not found' });
+          return sendError(res, 404, 'Review not found');
         }
 
-        // Check if user has already liked
-        const existingLike = await reviewLikesCollection.findOne({
-          reviewId: new ObjectId(reviewId),
-          userEmail: userEmail
+        const { active, target: updatedReview } = await toggleReaction({
+          targetType: 'review',
+          targetId: review._id,
+          userEmail: req.user.email,
+          reaction: 'like',
         });
 
-        if (existingLike) {
-          // Unlike if already liked
-          await reviewLikesCollection.deleteOne({
-            reviewId: new ObjectId(reviewId),
-            userEmail: userEmail
-          });
-          
-          // Update review likes count
-          await reviewsCollection.updateOne(
-            { _id: new ObjectId(reviewId) },
-            { $inc: { likes: -1 } }
-          );
-
-          const updatedReview = await reviewsCollection.findOne({ _id: new ObjectId(reviewId) });
-          return res.json({ 
-            message: 'Review unliked',
-            likes: updatedReview.likes,
-            userLiked: false
-          });
+        if (active) {
+          await recordActivity(req.user, 'review_like', { bookId: review.bookId, reviewId: review._id, reviewAuthorName: review.userName });
+          const likedBook = await booksCollection.findOne({ _id: review.bookId }, { projection: { bookTitle: 1 } });
+          await notify(review.userEmail, req.user, 'review_like', { bookId: review.bookId, bookTitle: likedBook?.bookTitle, reviewId: review._id });
+        } else {
+          await retractActivity(req.user, 'review_like', { reviewId: review._id });
         }
 
-        // Remove any existing dislike
-        const existingDislike = await reviewDislikesCollection.findOne({
-          reviewId: new ObjectId(reviewId),
-          userEmail: userEmail
+        return res.json({
+          message: active ? 'Review liked' : 'Review unliked',
+          likes: updatedReview.likes,
+          userLiked: active
         });
 
-        if (existingDislike) {
-          await reviewDislikesCollection.deleteOne({
-            reviewId: new ObjectId(reviewId),
-            userEmail: userEmail
-          });
-          await reviewsCollection.updateOne(
-            { _id: new ObjectId(reviewId) },
-            { $inc: { dislikes: -1 } }
-          );
+      } catch (error) {
+        logger.error('Error liking review', { error });
+        sendError(res, 500, 'Server error liking review');
+      }
+    });
+
+    // Dislike a review
+    app.post('/api/reviews/:reviewId/dislike', verifyFirebaseToken, rateLimit('reaction'), async (req, res) => {
+      try {
+        const reviewId = req.params.reviewId;
+
+        if (!ObjectId.isValid(reviewId)) {
+          return sendError(res, 400, 'Invalid Review ID format', { code: 'invalid_id' });
         }
 
-        // Add new like
-        await reviewLikesCollection.insertOne({
-          reviewId: new ObjectId(reviewId),
-          userEmail: userEmail,
-          createdAt: new Date()
+        // Check if review exists
+        const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId), ...notDeleted });
+        if (!review) {
+          return sendError(res, 404, 'Review not found');
+        }
+
+        const { active, target: updatedReview } = await toggleReaction({
+          targetType: 'review',
+          targetId: review._id,
+          userEmail: req.user.email,
+          reaction: 'dislike',
         });
 
-        // Update review likes count
-        await reviewsCollection.updateOne(
-          { _id: new ObjectId(reviewId) },
-          { $inc: { likes: 1 } }
-        );
+        if (active) {
+          // A dislike replaces any like, so its activity goes too
+          await retractActivity(req.user, 'review_like', { reviewId: review._id });
+          const dislikedBook = await booksCollection.findOne({ _id: review.bookId }, { projection: { bookTitle: 1 } });
+          await notify(review.userEmail, req.user, 'review_dislike', { bookId: review.bookId, bookTitle: dislikedBook?.bookTitle, reviewId: review._id });
+        }
 
-        const updatedReview = await reviewsCollection.findOne({ _id: new ObjectId(reviewId) });
-        return res.json({ 
-          message: 'Review liked',
-          likes: updatedReview.likes,
-          userLiked: true
+        return res.json({
+          message: active ? 'Review disliked' : 'Review undisliked',
+          dislikes: updatedReview.dislikes,
+          userDisliked: active
         });
 
       } catch (error) {
-        console.error('Error liking review:', error);
-        res.status(500).json({ message: 'Server error liking review' });
+        logger.error('Error disliking review', { error });
+        sendError(res, 500, 'Server error disliking review');
       }
     });
 
-    // Dislike a review
-    app.post('/api/reviews/:reviewId/dislike', verifyFirebaseToken, async (req, res) => {
+    // GET /api/reviews/status?ids=a,b,c - Like/dislike status for many reviews at once, keyed by review ID
+    app.get('/api/reviews/status', verifyFirebaseToken, async (req, res) => {
+      try {
+        const { ids, error } = parseStatusIds(req.query.ids);
+        if (error) {
+          return sendError(res, 400, error);
+        }
+
+        res.json({ statuses: await getReactionStatuses('review', ids, req.user.email) });
+      } catch (error) {
+        logger.error('Error getting review statuses', { error });
+        sendError(res, 500, 'Server error getting review statuses');
+      }
+    });
+
+    // Get review like/dislike status for a user
+    app.get('/api/reviews/:reviewId/status', verifyFirebaseToken, async (req, res) => {
       try {
         const reviewId = req.params.reviewId;
-        const userEmail = req.user.email;
 
         if (!ObjectId.isValid(reviewId)) {
-          return res.status(400).json({ message: 'Invalid Review ID format' });
+          return sendError(res, 400, 'Invalid Review ID format', { code: 'invalid_id' });
         }
 
-        // Check if review exists
-        const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId) });
-        if (!review) {
-          return res.status(404).json({ message: 'Review not found' });
+        const [status] = Object.values(await getReactionStatuses('review', [new ObjectId(reviewId)], req.user.email));
+        res.json(status);
+
+      } catch (error) {
+        logger.error('Error getting review status', { error });
+        sendError(res, 500, 'Server error getting review status');
+      }
+    });
+
+    // Reply Routes - threaded comments under a review
+    // Deleted replies that still have answers are kept as "[deleted]" placeholders so the thread stays intact
+    const presentReply = (reply) => (reply.deleted
+      ? { ...reply, text: '[deleted]', userEmail: null, userName: null, userPhoto: null }
+      : reply);
+
+    // GET /api/reviews/:reviewId/replies - Direct replies to a review, or to a reply with ?parentId=, oldest first (paginated)
+    app.get('/api/reviews/:reviewId/replies', async (req, res) => {
+      try {
+        const reviewId = req.params.reviewId;
+        const parentId = req.query.parentId || null;
+        if (!ObjectId.isValid(reviewId) || (parentId && !ObjectId.isValid(parentId))) {
+          return sendError(res, 400, 'Invalid Review or Reply ID format', { code: 'invalid_id' });
+        }
+        const pagination = readPagination(req.query, 'replies');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
         }
 
-        // Check if user has already disliked
-        const existingDislike = await reviewDislikesCollection.findOne({
-          reviewId: new ObjectId(reviewId),
-          userEmail: userEmail
+        if (await reviewsCollection.countDocuments({ _id: new ObjectId(reviewId), deletedAt: { $ne: null } }, { limit: 1 }) > 0) {
+          return sendError(res, 404, 'Review not found');
+        }
+
+        const query = { reviewId: new ObjectId(reviewId), parentId: parentId ? new ObjectId(parentId) : null };
+        const { items: replies, nextCursor } = await findPage(repliesCollection, query, { createdAt: 1 }, pagination, 'replies');
+
+        res.json({
+          replies: replies.map(presentReply),
+          nextCursor
         });
+      } catch (error) {
+        logger.error('Get replies error', { error });
+        sendError(res, 500, 'Server error fetching replies');
+      }
+    });
 
-        if (existingDislike) {
-          // Remove dislike if already disliked
-          await reviewDislikesCollection.deleteOne({
-            reviewId: new ObjectId(reviewId),
-            userEmail: userEmail
-          });
-          
-          // Update review dislikes count
-          await reviewsCollection.updateOne(
-            { _id: new ObjectId(reviewId) },
-            { $inc: { dislikes: -1 } }
-          );
+    // POST /api/reviews/:reviewId/replies - Reply to a review, or to another reply with parentId. Body: { text, parentId? }
+    app.post('/api/reviews/:reviewId/replies', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const reviewId = req.params.reviewId;
+        const { text, parentId } = req.body;
+        if (!ObjectId.isValid(reviewId) || (parentId && !ObjectId.isValid(parentId))) {
+          return sendError(res, 400, 'Invalid Review or Reply ID format', { code: 'invalid_id' });
+        }
+        if (typeof text !== 'string' || !text.trim() || text.length > 2000) {
+          return sendError(res, 400, 'text is required and must be at most 2000 characters');
+        }
 
-          const updatedReview = await reviewsCollection.findOne({ _id: new ObjectId(reviewId) });
-          return res.json({ 
-            message: 'Review undisliked',
-            dislikes: updatedReview.dislikes,
-            userDisliked: false
-          });
+        const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId), ...notDeleted });
+        if (!review) {
+          return sendError(res, 404, 'Review not found');
         }
 
-        // Remove any existing like
-        const existingLike = await reviewLikesCollection.findOne({
-          reviewId: new ObjectId(reviewId),
-          userEmail: userEmail
-        });
+        let parent = null;
+        if (parentId) {
+          parent = await repliesCollection.findOne({ _id: new ObjectId(parentId), reviewId: review._id, deleted: { $ne: true } });
+          if (!parent) {
+            return sendError(res, 404, 'Parent reply not found');
+          }
+          if (parent.depth + 1 >= MAX_REPLY_DEPTH) {
+            return sendError(res, 400, `Replies can only be nested ${MAX_REPLY_DEPTH} levels deep`);
+          }
+        }
 
-        if (existingLike) {
-          await reviewLikesCollection.deleteOne({
-            reviewId: new ObjectId(reviewId),
-            userEmail: userEmail
-          });
-          await reviewsCollection.updateOne(
-            { _id: new ObjectId(reviewId) },
-            { $inc: { likes: -1 } }
-          );
+        const reply = {
+          reviewId: review._id,
+          bookId: review.bookId,
+          parentId: parent ? parent._id : null,
+          depth: parent ? parent.depth + 1 : 0,
+          userEmail: req.user.email,
+          userName: req.user.name || 'Anonymous',
+          userPhoto: req.user.photoURL || '',
+          text: text.trim(),
+          likes: 0,
+          dislikes: 0,
+          replyCount: 0,
+          deleted: false,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        };
+        const result = await repliesCollection.insertOne(reply);
+
+        await reviewsCollection.updateOne({ _id: review._id }, { $inc: { replyCount: 1 } });
+        if (parent) {
+          await repliesCollection.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
         }
 
-        // Add new dislike
-        await reviewDislikesCollection.insertOne({
-          reviewId: new ObjectId(reviewId),
-          userEmail: userEmail,
-          createdAt: new Date()
-        });
+        res.status(201).json({ message: 'Reply added successfully', reply: { _id: result.insertedId, ...reply } });
+      } catch (error) {
+        logger.error('Create reply error', { error });
+        sendError(res, 500, 'Server error creating reply');
+      }
+    });
 
-        // Update review dislikes count
-        await reviewsCollection.updateOne(
-          { _id: new ObjectId(reviewId) },
-          { $inc: { dislikes: 1 } }
-        );
+    // PATCH /api/replies/:replyId - Edit a reply (author or moderator). Body: { text }
+    app.patch('/api/replies/:replyId', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
+      try {
+        const replyId = req.params.replyId;
+        const { text } = req.body;
+        if (!ObjectId.isValid(replyId)) {
+          return sendError(res, 400, 'Invalid Reply ID format', { code: 'invalid_id' });
+        }
+        if (typeof text !== 'string' || !text.trim() || text.length > 2000) {
+          return sendError(res, 400, 'text is required and must be at most 2000 characters');
+        }
 
-        const updatedReview = await reviewsCollection.findOne({ _id: new ObjectId(reviewId) });
-        return res.json({ 
-          message: 'Review disliked',
-          dislikes: updatedReview.dislikes,
-          userDisliked: true
-        });
+        const reply = await repliesCollection.findOne({ _id: new ObjectId(replyId) });
+        if (!reply || reply.deleted) {
+          return sendError(res, 404, 'Reply not found');
+        }
+        const isOwner = reply.userEmail === req.user.email;
+        if (!isOwner && !isModerator(req.user)) {
+          return sendError(res, 403, 'Not authorized to update this reply');
+        }
+
+        await repliesCollection.updateOne({ _id: reply._id }, { $set: { text: text.trim(), updatedAt: new Date() } });
+        if (!isOwner) {
+          await recordAudit(req.user, 'reply.update', 'reply', reply._id, { reviewId: reply.reviewId, owner: reply.userEmail });
+        }
 
+        const updatedReply = await repliesCollection.findOne({ _id: reply._id });
+        res.json({ message: 'Reply updated successfully', reply: updatedReply });
       } catch (error) {
-        console.error('Error disliking review:', error);
-        res.status(500).json({ message: 'Server error disliking review' });
+        logger.error('Update reply error', { error });
+        sendError(res, 500, 'Server error updating reply');
       }
     });
 
-    // Get review like/dislike status for a user
-    app.get('/api/reviews/:reviewId/status', verifyFirebaseToken, async (req, res) => {
+    // DELETE /api/replies/:replyId - Delete a reply (author or moderator)
+    // replyCount counts thread nodes, placeholders included: a review's covers its whole thread, a reply's its direct
+    // answers. Remove a reply that has no answers, then every placeholder above it that this leaves without any.
+    const removeReplyNode = async (reply) => {
+      let node = reply;
+      while (node) {
+        await deleteRepliesWhere({ _id: node._id });
+        await reviewsCollection.updateOne({ _id: node.reviewId }, { $inc: { replyCount: -1 } });
+        if (!node.parentId) return;
+        const parent = await repliesCollection.findOneAndUpdate({ _id: node.parentId }, { $inc: { replyCount: -1 } }, { returnDocument: 'after' });
+        node = parent && parent.deleted && parent.replyCount <= 0 ? parent : null;
+      }
+    };
+
+    app.delete('/api/replies/:replyId', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
       try {
-        const reviewId = req.params.reviewId;
-        const userEmail = req.user.email;
+        const replyId = req.params.replyId;
+        if (!ObjectId.isValid(replyId)) {
+          return sendError(res, 400, 'Invalid Reply ID format', { code: 'invalid_id' });
+        }
 
-        if (!ObjectId.isValid(reviewId)) {
-          return res.status(400).json({ message: 'Invalid Review ID format' });
+        const reply = await repliesCollection.findOne({ _id: new ObjectId(replyId) });
+        if (!reply || reply.deleted) {
+          return sendError(res, 404, 'Reply not found');
+        }
+        const isOwner = reply.userEmail === req.user.email;
+        if (!isOwner && !isModerator(req.user)) {
+          return sendError(res, 403, 'Not authorized to delete this reply');
         }
 
-        const [likeStatus, dislikeStatus] = await Promise.all([
-          reviewLikesCollection.findOne({
-            reviewId: new ObjectId(reviewId),
-            userEmail: userEmail
-          }),
-          reviewDislikesCollection.findOne({
-            reviewId: new ObjectId(reviewId),
-            userEmail: userEmail
-          })
-        ]);
+        if (reply.replyCount > 0) {
+          // Keep a placeholder so the answers below it stay in the thread; it is still a node, so no count changes
+          await repliesCollection.updateOne(
+            { _id: reply._id },
+            { $set: { deleted: true, text: '', userEmail: null, userName: null, userPhoto: null, updatedAt: new Date() } }
+          );
+        } else {
+          await removeReplyNode(reply);
+        }
 
-        res.json({
-          userLiked: !!likeStatus,
-          userDisliked: !!dislikeStatus
+        if (!isOwner) {
+          await recordAudit(req.user, 'reply.delete', 'reply', reply._id, { reviewId: reply.reviewId, owner: reply.userEmail });
+        }
+
+        res.json({ message: 'Reply deleted successfully' });
+      } catch (error) {
+        logger.error('Delete reply error', { error });
+        sendError(res, 500, 'Server error deleting reply');
+      }
+    });
+
+    // POST /api/replies/:replyId/like and /dislike - Same toggle model as review likes
+    const reactToReply = (reaction) => async (req, res) => {
+      try {
+        const replyId = req.params.replyId;
+        if (!ObjectId.isValid(replyId)) {
+          return sendError(res, 400, 'Invalid Reply ID format', { code: 'invalid_id' });
+        }
+
+        const reply = await repliesCollection.findOne({ _id: new ObjectId(replyId) });
+        if (!reply || reply.deleted) {
+          return sendError(res, 404, 'Reply not found');
+        }
+
+        const { active, target: updatedReply } = await toggleReaction({
+          targetType: 'reply',
+          targetId: reply._id,
+          userEmail: req.user.email,
+          reaction: reaction,
         });
 
+        if (reaction === 'like') {
+          return res.json({ message: active ? 'Reply liked' : 'Reply unliked', likes: updatedReply.likes, userLiked: active });
+        }
+        return res.json({ message: active ? 'Reply disliked' : 'Reply undisliked', dislikes: updatedReply.dislikes, userDisliked: active });
+      } catch (error) {
+        logger.error(`Error ${reaction === 'like' ? 'liking' : 'disliking'} reply`, { error });
+        sendError(res, 500, `Server error ${reaction === 'like' ? 'liking' : 'disliking'} reply`);
+      }
+    };
+    app.post('/api/replies/:replyId/like', verifyFirebaseToken, rateLimit('reaction'), reactToReply('like'));
+    app.post('/api/replies/:replyId/dislike', verifyFirebaseToken, rateLimit('reaction'), reactToReply('dislike'));
+
+    // GET /api/replies/status?ids=a,b,c - Like/dislike status for many replies at once, keyed by reply ID
+    app.get('/api/replies/status', verifyFirebaseToken, async (req, res) => {
+      try {
+        const { ids, error } = parseStatusIds(req.query.ids);
+        if (error) {
+          return sendError(res, 400, error);
+        }
+
+        res.json({ statuses: await getReactionStatuses('reply', ids, req.user.email) });
+      } catch (error) {
+        logger.error('Error getting reply statuses', { error });
+        sendError(res, 500, 'Server error getting reply statuses');
+      }
+    });
+
+    // Get reply like/dislike status for a user
+    app.get('/api/replies/:replyId/status', verifyFirebaseToken, async (req, res) => {
+      try {
+        const replyId = req.params.replyId;
+        if (!ObjectId.isValid(replyId)) {
+          return sendError(res, 400, 'Invalid Reply ID format', { code: 'invalid_id' });
+        }
+
+        const [status] = Object.values(await getReactionStatuses('reply', [new ObjectId(replyId)], req.user.email));
+        res.json(status);
       } catch (error) {
-        console.error('Error getting review status:', error);
-        res.status(500).json({ message: 'Server error getting review status' });
+        logger.error('Error getting reply status', { error });
+        sendError(res, 500, 'Server error getting reply status');
       }
     });
 
     // PATCH /api/reviews/:reviewId - Update a review (Protected)
-    app.patch('/api/reviews/:reviewId', verifyFirebaseToken, async (req, res) => {
+    app.patch('/api/reviews/:reviewId', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
       try {
         const reviewId = req.params.reviewId;
         const userEmail = req.user.email;
-        const { reviewText, rating } = req.body;
 
         if (!ObjectId.isValid(reviewId)) {
-          return res.status(400).json({ message: 'Invalid Review ID format' });
+          return sendError(res, 400, 'Invalid Review ID format', { code: 'invalid_id' });
         }
+        const { value, errors } = validateBody(req.body, reviewSchema, { partial: true, managed: serverManagedFields.review });
+        if (errors.length > 0) {
+          return sendValidationError(res, errors);
+        }
+        const { reviewText, rating } = value;
 
-        const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId) });
+        const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId), ...notDeleted });
         if (!review) {
-          return res.status(404).json({ message: 'Review not found' });
+          return sendError(res, 404, 'Review not found');
         }
 
-        // Check if the authenticated user is the owner of the review
-        if (review.userEmail !== userEmail) {
-          return res.status(403).json({ message: 'Not authorized to update this review' });
+        // Check if the authenticated user is the owner of the review (moderators may edit any review)
+        const isOwner = review.userEmail === userEmail;
+        if (!isOwner && !isModerator(req.user)) {
+          return sendError(res, 403, 'Not authorized to update this review');
         }
 
         const updateDoc = { $set: { updatedAt: new Date() } };
@@ -1060,109 +5286,395 @@ async function run() {
            return res.status(200).json({ message: 'No changes detected for review update' });
         }
 
-        const result = await reviewsCollection.updateOne(
-          { _id: new ObjectId(reviewId), userEmail: userEmail },
-          updateDoc
+        // The previous version comes back from the same write, so the rating swap below uses the rating it replaced
+        const previous = await reviewsCollection.findOneAndUpdate(
+          { _id: new ObjectId(reviewId), userEmail: review.userEmail, ...notDeleted },
+          updateDoc,
+          { returnDocument: 'before' }
         );
 
-        if (result.modifiedCount === 0) {
-             // This might happen if no fields were actually different or review not found/owned
-             const updatedReviewCheck = await reviewsCollection.findOne({ _id: new ObjectId(reviewId) });
-             if (!updatedReviewCheck || updatedReviewCheck.userEmail !== userEmail) {
-                  return res.status(404).json({ message: 'Review not found or not authorized' });
-             }
-             // If review exists and is owned but modifiedCount is 0, it means data was the same
-             return res.status(200).json({ message: 'Review data is the same, no update needed', review: updatedReviewCheck });
+        if (!previous) {
+          // Deleted between the read above and the update
+          return sendError(res, 404, 'Review not found or not authorized');
         }
 
         const updatedReview = await reviewsCollection.findOne({ _id: new ObjectId(reviewId) });
+        if (!isOwner) {
+          await recordAudit(req.user, 'review.update', 'review', review._id, { fields: Object.keys(updateDoc.$set), owner: review.userEmail });
+        }
 
-        // --- Recalculate average rating and total reviews for the book --- //
-        const allReviewsForBook = await reviewsCollection.find({ bookId: review.bookId }).toArray();
-        const totalReviews = allReviewsForBook.length;
-        const averageRating = totalReviews > 0
-          ? allReviewsForBook.reduce((sum, r) => sum + r.rating, 0) / totalReviews
-          : 0;
-
-        await booksCollection.updateOne(
-          { _id: review.bookId },
-          { $set: { rating: averageRating, totalReviews: totalReviews } }
-        );
-        // --- End recalculation --- //
+        const { averageRating, totalReviews } = rating !== undefined && rating !== previous.rating && !previous.moderation?.hidden
+          ? await setUserRating(review.bookId, review.userEmail, rating, 'review')
+          : await applyRatingChanges(review.bookId, []);
 
         res.json({ message: 'Review updated successfully', review: updatedReview, averageRating: averageRating, totalReviews: totalReviews });
 
       } catch (error) {
-        console.error('Update review error:', error);
-        res.status(500).json({ message: 'Server error updating review' });
+        logger.error('Update review error', { error });
+        sendError(res, 500, 'Server error updating review');
       }
     });
 
     // DELETE /api/reviews/:reviewId - Delete a review (Protected)
-    app.delete('/api/reviews/:reviewId', verifyFirebaseToken, async (req, res) => {
+    app.delete('/api/reviews/:reviewId', verifyFirebaseToken, rateLimit('write'), async (req, res) => {
       try {
         const reviewId = req.params.reviewId;
         const userEmail = req.user.email;
 
         if (!ObjectId.isValid(reviewId)) {
-          return res.status(400).json({ message: 'Invalid Review ID format' });
+          return sendError(res, 400, 'Invalid Review ID format', { code: 'invalid_id' });
         }
 
-        const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId) });
+        const review = await reviewsCollection.findOne({ _id: new ObjectId(reviewId), ...notDeleted });
         if (!review) {
-          return res.status(404).json({ message: 'Review not found' });
+          return sendError(res, 404, 'Review not found');
+        }
+
+        // Check if the authenticated user is the owner of the review (moderators may remove any review)
+        const isOwner = review.userEmail === userEmail;
+        if (!isOwner && !isModerator(req.user)) {
+          return sendError(res, 403, 'Not authorized to delete this review');
         }
 
-        // Check if the authenticated user is the owner of the review
-        if (review.userEmail !== userEmail) {
-          return res.status(403).json({ message: 'Not authorized to delete this review' });
+        const removed = await trashReview(review, req.user);
+        if (!removed) {
+          // This might happen if the review was deleted concurrently
+          return sendError(res, 404, 'Review not found or not authorized for deletion');
+        }
+        if (!isOwner) {
+          await recordAudit(req.user, 'review.delete', 'review', review._id, { bookId: review.bookId, owner: review.userEmail, reason: req.body?.reason || null });
         }
+        const { averageRating, totalReviews } = removed;
 
-        const result = await reviewsCollection.deleteOne({ _id: new ObjectId(reviewId), userEmail: userEmail });
+        res.json({ message: 'Review moved to trash', averageRating: averageRating, totalReviews: totalReviews });
 
-        if (result.deletedCount === 0) {
-          // This might happen if review not found or not owned (should be caught by auth check, but double-check)
-          return res.status(404).json({ message: 'Review not found or not authorized for deletion' });
+      } catch (error) {
+        logger.error('Delete review error', { error });
+        sendError(res, 500, 'Server error deleting review');
+      }
+    });
+
+    // Admin Routes - moderation for moderators and admins
+    // GET /api/admin/users - Find users by name or email. Query: q, role, suspended=true, page, limit
+    app.get('/api/admin/users', verifyFirebaseToken, requireRole('moderator', 'admin'), async (req, res) => {
+      try {
+        const pagination = readPagination(req.query, 'admin-users');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const query = {};
+        if (typeof req.query.q === 'string' && req.query.q) {
+          const pattern = { $regex: escapeRegex(req.query.q), $options: 'i' };
+          query.$or = [{ name: pattern }, { email: pattern }];
+        }
+        if (req.query.role === 'user') query.role = { $in: [null, 'user'] };
+        else if (req.query.role) query.role = req.query.role;
+        if (req.query.suspended === 'true') {
+          query.suspension = { $ne: null };
+          query.$and = [{ $or: [{ 'suspension.until': null }, { 'suspension.until': { $gt: new Date() } }] }];
+        }
+
+        const { items: users, nextCursor } = await findPage(usersCollection, query, { createdAt: -1 }, pagination, 'admin-users', { projection: { password: 0 } });
+
+        res.json({
+          users: users.map(user => ({ ...user, role: user.role || 'user', suspended: isSuspended(user) })),
+          nextCursor
+        });
+      } catch (error) {
+        logger.error('Admin list users error', { error });
+        sendError(res, 500, 'Server error fetching users');
+      }
+    });
+
+    // PUT /api/admin/users/:id/role - Change a user's role (admins only). Body: { role }
+    app.put('/api/admin/users/:id/role', verifyFirebaseToken, requireRole('admin'), async (req, res) => {
+      try {
+        const userId = req.params.id;
+        const { role } = req.body;
+        if (!ROLES.includes(role)) {
+          return sendError(res, 400, `role must be one of: ${ROLES.join(', ')}`);
+        }
+        if (userId === req.user.uid) {
+          return sendError(res, 400, "You can't change your own role");
+        }
+
+        const user = await usersCollection.findOne({ _id: userId });
+        if (!user) {
+          return sendError(res, 404, 'User not found in DB.');
+        }
+
+        // Look the Firebase account up before changing anything, so a missing account leaves the role untouched
+        let firebaseUser;
+        try {
+          firebaseUser = await admin.auth().getUser(userId);
+        } catch (error) {
+          if (error.code === 'auth/user-not-found') {
+            return sendError(res, 404, 'User not found in Firebase');
+          }
+          throw error;
+        }
+
+        await usersCollection.updateOne({ _id: userId }, { $set: { role: role, updatedAt: new Date() } });
+        await recordAudit(req.user, 'user.role', 'user', userId, { from: user.role || 'user', to: role });
+        // Mirror the role into custom claims so other Firebase-aware services see it after the next token refresh
+        await admin.auth().setCustomUserClaims(userId, { ...(firebaseUser.customClaims || {}), role: role });
+
+        res.json({ message: 'Role updated successfully', role: role });
+      } catch (error) {
+        logger.error('Admin change role error', { error });
+        sendError(res, 500, 'Server error changing role');
+      }
+    });
+
+    // POST /api/admin/users/:id/suspend - Suspend a user. Body: { reason, until? } (no end date = until lifted)
+    app.post('/api/admin/users/:id/suspend', verifyFirebaseToken, requireRole('moderator', 'admin'), async (req, res) => {
+      try {
+        const userId = req.params.id;
+        const { reason } = req.body;
+        const until = req.body.until ? new Date(req.body.until) : null;
+        if (typeof reason !== 'string' || !reason.trim() || reason.length > 500) {
+          return sendError(res, 400, 'reason is required and must be at most 500 characters');
+        }
+        if (until && (isNaN(until) || until <= new Date())) {
+          return sendError(res, 400, 'until must be a date in the future');
         }
+        if (userId === req.user.uid) {
+          return sendError(res, 400, "You can't suspend yourself");
+        }
+
+        const user = await usersCollection.findOne({ _id: userId });
+        if (!user) {
+          return sendError(res, 404, 'User not found in DB.');
+        }
+        // Only admins can suspend other moderators or admins
+        if (isModerator({ role: user.role }) && req.user.role !== 'admin') {
+          return sendError(res, 403, 'Not authorized to suspend a moderator');
+        }
+
+        const suspension = { reason: reason.trim(), until: until, by: req.user.email, at: new Date() };
+        await usersCollection.updateOne({ _id: userId }, { $set: { suspension: suspension, updatedAt: new Date() } });
 
-        // --- Recalculate average rating and total reviews for the book --- //
-        const allReviewsForBook = await reviewsCollection.find({ bookId: review.bookId }).toArray();
-        const totalReviews = allReviewsForBook.length;
-        const averageRating = totalReviews > 0
-          ? allReviewsForBook.reduce((sum, r) => sum + r.rating, 0) / totalReviews
-          : 0;
+        await recordAudit(req.user, 'user.suspend', 'user', userId, { reason: suspension.reason, until: until });
+        res.json({ message: 'User suspended successfully', suspension });
+      } catch (error) {
+        logger.error('Admin suspend user error', { error });
+        sendError(res, 500, 'Server error suspending user');
+      }
+    });
 
-        await booksCollection.updateOne(
-          { _id: review.bookId },
-          { $set: { rating: averageRating, totalReviews: totalReviews } }
+    // DELETE /api/admin/users/:id/suspend - Lift a suspension
+    app.delete('/api/admin/users/:id/suspend', verifyFirebaseToken, requireRole('moderator', 'admin'), async (req, res) => {
+      try {
+        const userId = req.params.id;
+        const result = await usersCollection.updateOne(
+          { _id: userId, suspension: { $ne: null } },
+          { $set: { suspension: null, updatedAt: new Date() } }
         );
-        // --- End recalculation --- //
+        if (result.matchedCount === 0) {
+          return sendError(res, 404, 'User not found or not suspended');
+        }
+
+        await recordAudit(req.user, 'user.unsuspend', 'user', userId);
+        res.json({ message: 'Suspension lifted successfully' });
+      } catch (error) {
+        logger.error('Admin unsuspend user error', { error });
+        sendError(res, 500, 'Server error lifting suspension');
+      }
+    });
+
+    // GET /api/admin/reports - Moderation queue: reported items with their report counts, most reported first.
+    // Query: status=open|dismissed|hidden|deleted (default open), targetType=book|review, page, limit
+    app.get('/api/admin/reports', verifyFirebaseToken, requireRole('moderator', 'admin'), async (req, res) => {
+      try {
+        // The queue is ranked by report count, so the cursor is a position in it
+        const pagination = readPagination(req.query, 'reports');
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const { offset } = pagination;
+        const match = { status: req.query.status || 'open' };
+        if (req.query.targetType) match.targetType = req.query.targetType;
+
+        const groups = await reportsCollection.aggregate([
+          { $match: match },
+          { $group: {
+            _id: { targetType: '$targetType', targetId: '$targetId' },
+            reportCount: { $sum: 1 },
+            reasons: { $push: '$reason' },
+            reports: { $push: { reporterEmail: '$reporterEmail', reason: '$reason', note: '$note', createdAt: '$createdAt' } },
+            firstReportedAt: { $min: '$createdAt' },
+            lastReportedAt: { $max: '$createdAt' },
+          } },
+          { $sort: { reportCount: -1, lastReportedAt: -1, _id: 1 } },
+          { $skip: offset },
+          { $limit: pagination.limit + 1 },
+        ]).toArray();
+
+        // Attach a preview of each reported item
+        const items = await Promise.all(groups.slice(0, pagination.limit).map(async (item) => {
+          const { collection } = reportTargets[item._id.targetType];
+          const target = await collection.findOne({ _id: item._id.targetId });
+          const reasonCounts = item.reasons.reduce((counts, reason) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {});
+          return {
+            targetType: item._id.targetType,
+            targetId: item._id.targetId,
+            reportCount: item.reportCount,
+            reports: item.reports,
+            firstReportedAt: item.firstReportedAt,
+            lastReportedAt: item.lastReportedAt,
+            reasonCounts,
+            target,
+          };
+        }));
+
+        res.json({
+          items,
+          nextCursor: nextOffsetCursor('reports', offset, pagination.limit, groups.length > pagination.limit)
+        });
+      } catch (error) {
+        logger.error('Get moderation queue error', { error });
+        sendError(res, 500, 'Server error fetching moderation queue');
+      }
+    });
+
+    // POST /api/admin/reports/:targetType/:targetId/resolve - Resolve every open report on an item.
+    // Body: { action: 'dismissed' | 'hidden' | 'deleted', note? }
+    app.post('/api/admin/reports/:targetType/:targetId/resolve', verifyFirebaseToken, requireRole('moderator', 'admin'), async (req, res) => {
+      try {
+        const { targetType, targetId } = req.params;
+        const { action, note } = req.body;
+        if (!reportTargets[targetType]) {
+          return sendError(res, 400, 'targetType must be one of: book, review');
+        }
+        if (!ObjectId.isValid(targetId)) {
+          return sendError(res, 400, 'Invalid target ID format', { code: 'invalid_id' });
+        }
+        if (!REPORT_RESOLUTIONS.includes(action)) {
+          return sendError(res, 400, `action must be one of: ${REPORT_RESOLUTIONS.join(', ')}`);
+        }
+
+        const { collection } = reportTargets[targetType];
+        const target = await collection.findOne({ _id: new ObjectId(targetId), ...notDeleted });
+        if (!target) {
+          return sendError(res, 404, `${targetType === 'book' ? 'Book' : 'Review'} not found`);
+        }
+
+        const resolvedAt = new Date();
+        const reportFilter = { targetType: targetType, targetId: target._id, status: 'open' };
+        const reportUpdate = { $set: { status: action, resolvedBy: req.user.email, resolvedAt: resolvedAt, resolutionNote: note || '' } };
+        let reportCount;
+
+        if (action === 'dismissed') {
+          // Reports were unfounded: show the item again and start counting afresh
+          const moderation = { hidden: false, reason: 'dismissed', by: req.user.email, at: resolvedAt };
+          if (targetType === 'review') await setReviewModeration(target._id, moderation);
+          await collection.updateOne({ _id: target._id }, { $set: { moderation: moderation, reportCount: 0 } });
+          reportCount = (await reportsCollection.updateMany(reportFilter, reportUpdate)).modifiedCount;
+        } else if (action === 'hidden') {
+          const moderation = { hidden: true, reason: 'moderator', by: req.user.email, at: resolvedAt };
+          if (targetType === 'review') await setReviewModeration(target._id, moderation);
+          else await collection.updateOne({ _id: target._id }, { $set: { moderation: moderation } });
+          reportCount = (await reportsCollection.updateMany(reportFilter, reportUpdate)).modifiedCount;
+        } else {
+          // The item goes to the trash under the moderator's name, so its owner cannot restore it
+          reportCount = (await reportsCollection.updateMany(reportFilter, reportUpdate)).modifiedCount;
+          if (targetType === 'book') await trashBook(target, req.user);
+          else await trashReview(target, req.user);
+        }
+
+        await recordAudit(req.user, `report.${action}`, targetType, target._id, {
+          note: note || '',
+          reportCount: reportCount,
+          owner: target.userEmail,
+          ...(targetType === 'book' ? { bookTitle: target.bookTitle } : { bookId: target.bookId }),
+        });
+
+        res.json({ message: `Reports resolved as ${action}`, reportCount });
+      } catch (error) {
+        logger.error('Resolve reports error', { error });
+        sendError(res, 500, 'Server error resolving reports');
+      }
+    });
+
+    // GET /api/admin/audit-log - Moderator actions, newest first. Query: actorId, action, targetType, targetId, page, limit
+    app.get('/api/admin/audit-log', verifyFirebaseToken, requireRole('moderator', 'admin'), async (req, res) => {
+      try {
+        const pagination = readPagination(req.query, 'audit-log', { defaultLimit: 50, maxLimit: 200 });
+        if (pagination.error) {
+          return sendError(res, 400, pagination.error, { code: 'invalid_cursor' });
+        }
+        const query = {};
+        if (req.query.actorId) query.actorId = req.query.actorId;
+        if (req.query.action) query.action = req.query.action;
+        if (req.query.targetType) query.targetType = req.query.targetType;
+        if (req.query.targetId) {
+          query.targetId = ObjectId.isValid(req.query.targetId)
+            ? { $in: [req.query.targetId, new ObjectId(req.query.targetId)] }
+            : req.query.targetId;
+        }
 
-        res.json({ message: 'Review deleted successfully', averageRating: averageRating, totalReviews: totalReviews });
+        const { items: entries, nextCursor } = await findPage(auditLogCollection, query, { createdAt: -1 }, pagination, 'audit-log');
 
+        res.json({
+          entries,
+          nextCursor
+        });
       } catch (error) {
-        console.error('Delete review error:', error);
-        res.status(500).json({ message: 'Server error deleting review' });
+        logger.error('Get audit log error', { error });
+        sendError(res, 500, 'Server error fetching audit log');
       }
     });
 
     // Catch-all for undefined routes (should be after all other routes)
     app.use((req, res, next) => {
-      res.status(404).json({ message: 'Endpoint not found' });
+      sendError(res, 404, 'Endpoint not found', { code: 'route_not_found' });
     });
+
+    if (cliCommand) {
+      const command = commands[cliCommand];
+      if (!command) {
+        logger.error(`Unknown command "${cliCommand}". Available commands: ${Object.keys(commands).join(', ')}`);
+        process.exit(1);
+      }
+      try {
+        await command();
+        await client.close();
+        await nonStrictClient.close();
+        process.exit(0);
+      } catch (error) {
+        logger.error(`Command "${cliCommand}" failed`, { error });
+        process.exit(1);
+      }
+    } else {
+      // Runs alongside the server; routes that need a new index work without it, just more slowly. Indexes are
+      // created first, so they exist even when migrations are off or one of them fails.
+      ensureIndexes()
+        .catch(error => logger.error('Error creating indexes', { error }))
+        .then(() => process.env.MIGRATE_ON_STARTUP !== 'false' && runMigrations())
+        .catch(error => logger.error('Migrations failed', { error }));
+    }
   } finally {
   }
 }
-run().catch(console.error); // Log any errors during startup
+run().catch(error => logger.error('Startup error', { error })); // Log any errors during startup
 
 app.get('/', (req, res) => {
   res.send('Virtual Bookshelf Backend Server is running!'); // Updated message
 });
 
 app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: 'Something broke on the server!' });
+  // Body parser failures are the client's fault, not the server's
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body is too large');
+  }
+  logger.error('Unhandled error', { error: err });
+  sendError(res, 500, 'Something broke on the server!');
 });
-app.listen(port, () => {
-  console.log(`Server is running on port ${port}`);
-}); 
\ No newline at end of file
+if (!cliCommand) {
+  app.listen(port, () => {
+    logger.info(`Server is running on port ${port}`);
+  });
+}
@@ -0,0 +1,710 @@
+// OpenAPI 3 description of the API. Served at /api/openapi.json (browsable at /api/docs) and checked against
+// the routes registered in index.js by scripts/check-openapi.js, which `npm test` runs.
+
+const schema = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items) => ({ type: 'array', items });
+const objectWith = (properties, required) => ({ type: 'object', properties, ...(required && { required }) });
+const json = (body, description = 'OK') => ({ description, content: { 'application/json': { schema: body } } });
+const messageWith = (properties = {}) => objectWith({ message: { type: 'string' }, ...properties });
+const page = (key, items) => objectWith({ [key]: arrayOf(items), nextCursor: schema('NextCursor') });
+
+const idParam = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+const queryParam = (name, description, type = { type: 'string' }) => ({ name, in: 'query', description, schema: type });
+const paginationParams = [{ $ref: '#/components/parameters/limit' }, { $ref: '#/components/parameters/cursor' }, { $ref: '#/components/parameters/page' }];
+const pageFields = { currentPage: { type: 'integer', deprecated: true }, totalPages: { type: 'integer', deprecated: true } };
+
+const security = {
+  required: [{ firebaseAuth: [] }],
+  optional: [{ firebaseAuth: [] }, {}],
+  none: [],
+};
+
+// One operation. `auth` is required, optional or none; `errors` lists the error statuses it can return.
+const operation = ({ summary, tag, auth = 'required', parameters = [], body, bodyRequired = true, responses, errors = [] }) => ({
+  summary,
+  tags: [tag],
+  security: security[auth],
+  ...(parameters.length > 0 && { parameters }),
+  ...(body && { requestBody: { required: bodyRequired, content: { 'application/json': { schema: body } } } }),
+  responses: {
+    ...responses,
+    ...Object.fromEntries([...new Set([...errors, ...(auth === 'required' ? [401] : []), 500])]
+      .map(status => [status, { $ref: '#/components/responses/Error' }])),
+  },
+});
+
+const bookId = idParam('id', 'Book ID');
+const reviewId = idParam('reviewId', 'Review ID');
+const trashedReviewId = idParam('id', 'Review ID');
+const replyId = idParam('replyId', 'Reply ID');
+const userId = idParam('id', 'User ID (Firebase UID)');
+const challengeId = idParam('id', 'Challenge ID');
+const shelfId = idParam('shelfId', 'Shelf ID, or `bookmarks` for the built-in bookmarks shelf');
+const bookFilterParams = [
+  queryParam('category', 'Filter by bookCategory'),
+  queryParam('status', 'Filter by availability status'),
+  queryParam('readingStatus', 'Filter by reading status'),
+  queryParam('userEmail', 'Only books added by this user'),
+  queryParam('author', 'Filter by bookAuthor'),
+  queryParam('rating', 'Rating bucket 1-5, or `unrated`'),
+];
+
+const bookProperties = {
+  bookTitle: { type: 'string', maxLength: 200 },
+  bookAuthor: { type: 'string', maxLength: 200 },
+  bookCategory: { type: 'string', maxLength: 60 },
+  bookOverview: { type: 'string', maxLength: 5000 },
+  coverPhoto: { type: 'string', format: 'uri' },
+  totalPage: { type: 'integer', minimum: 1, maximum: 100000 },
+  readingStatus: schema('ReadingStatus'),
+  status: { type: 'string', enum: ['available', 'unavailable'] },
+  isbn: { type: 'string', description: 'ISBN-10 or ISBN-13; stored as ISBN-13' },
+};
+
+const document = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Virtual Bookshelf API',
+    version: '1.0.0',
+    description: 'Books, reviews, shelves, reading progress and social features for Virtual Bookshelf. '
+      + 'Authenticated endpoints take a Firebase ID token as a bearer token. '
+      + 'Every error response uses the Error envelope and every response carries an X-Request-Id header.',
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'Auth' }, { name: 'Books' }, { name: 'Reviews' }, { name: 'Replies' }, { name: 'Reading' },
+    { name: 'Shelves' }, { name: 'Users' }, { name: 'Social' }, { name: 'Goals and challenges' },
+    { name: 'Notifications' }, { name: 'Trash' }, { name: 'Moderation' }, { name: 'Meta' },
+  ],
+  paths: {
+    '/': { get: operation({ summary: 'Server banner', tag: 'Meta', auth: 'none', responses: { 200: { description: 'Plain-text banner', content: { 'text/plain': { schema: { type: 'string' } } } } } }) },
+    '/ping': { get: operation({ summary: 'Health check', tag: 'Meta', auth: 'none', responses: { 200: { description: 'Plain-text pong', content: { 'text/plain': { schema: { type: 'string' } } } } } }) },
+    '/api/openapi.json': { get: operation({ summary: 'This OpenAPI document', tag: 'Meta', auth: 'none', responses: { 200: json({ type: 'object' }) } }) },
+    '/api/docs': { get: operation({ summary: 'Browsable API documentation', tag: 'Meta', auth: 'none', responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } } }) },
+
+    '/api/register': {
+      post: operation({
+        summary: 'Register a user in the database', tag: 'Auth', auth: 'none',
+        body: objectWith({ uid: { type: 'string' }, email: { type: 'string' }, name: { type: 'string' }, profilePhoto: { type: 'string' } }, ['uid', 'email']),
+        responses: { 200: json(messageWith({ user: schema('User') }), 'User already exists'), 201: json(messageWith({ user: schema('User') }), 'User created') },
+        errors: [400, 429],
+      }),
+    },
+    '/api/login': {
+      post: operation({ summary: 'Sync the signed-in Firebase user with the database', tag: 'Auth', responses: { 200: json(messageWith({ user: schema('User') })) }, errors: [429] }),
+    },
+
+    '/api/books': {
+      get: operation({
+        summary: 'List books', tag: 'Books', auth: 'optional',
+        parameters: [...bookFilterParams, queryParam('sort', 'Sort order', { type: 'string', enum: ['newest', 'oldest', 'popular', 'top_rated', 'title_asc', 'title_desc'], default: 'newest' }), ...paginationParams],
+        responses: { 200: json(objectWith({ books: arrayOf(schema('Book')), nextCursor: schema('NextCursor'), totalBooks: { type: 'integer' }, ...pageFields })) },
+        errors: [400],
+      }),
+      post: operation({
+        summary: 'Add a book; with an ISBN, blank fields are filled in from the metadata provider', tag: 'Books',
+        body: schema('BookInput'), responses: { 201: json(schema('Book'), 'Created') }, errors: [400, 429],
+      }),
+    },
+    '/api/books/facets': {
+      get: operation({
+        summary: 'Counts per category, reading status, status, author and rating bucket', tag: 'Books', auth: 'none', parameters: bookFilterParams,
+        responses: { 200: json(objectWith({ facets: objectWith(Object.fromEntries(['bookCategory', 'readingStatus', 'status', 'author', 'rating'].map(facet => [facet, arrayOf(objectWith({ value: {}, count: { type: 'integer' } }))]))), totalBooks: { type: 'integer' } })) },
+      }),
+    },
+    '/api/books/trending': {
+      get: operation({
+        summary: 'Trending books by time-decayed recent activity', tag: 'Books', auth: 'optional',
+        parameters: [queryParam('window', 'Time window', { type: 'string', enum: ['day', 'week', 'month', 'all'], default: 'week' }), queryParam('category', 'Filter by bookCategory'), ...paginationParams],
+        responses: { 200: json(page('books', { allOf: [schema('Book'), objectWith({ trendingScore: { type: 'number' } })] })) },
+        errors: [400],
+      }),
+    },
+    '/api/books/search': {
+      get: operation({
+        summary: 'Relevance-ranked full-text search with prefix fallback', tag: 'Books', auth: 'optional',
+        parameters: [{ ...queryParam('q', 'Search terms'), required: true }, ...paginationParams],
+        responses: { 200: json(objectWith({ books: arrayOf(schema('Book')), nextCursor: schema('NextCursor'), totalBooks: { type: 'integer' }, ...pageFields })) },
+        errors: [400, 429],
+      }),
+    },
+    '/api/books/isbn/{isbn}': {
+      get: operation({
+        summary: 'Look up book metadata by ISBN-10 or ISBN-13', tag: 'Books', auth: 'none', parameters: [idParam('isbn', 'ISBN-10 or ISBN-13, hyphens allowed')],
+        responses: { 200: json(objectWith({ isbn: { type: 'string' }, provider: { type: 'string' }, cached: { type: 'boolean' }, book: schema('BookInput') })) },
+        errors: [400, 404, 502],
+      }),
+    },
+    '/api/books/{id}': {
+      get: operation({ summary: 'Get a book', tag: 'Books', auth: 'optional', parameters: [bookId], responses: { 200: json(schema('Book')) }, errors: [400, 404] }),
+      patch: operation({ summary: 'Update a book (owner or moderator)', tag: 'Books', parameters: [bookId], body: schema('BookUpdate'), responses: { 200: json(messageWith({ book: schema('Book') })) }, errors: [400, 403, 404, 429] }),
+      delete: operation({
+        summary: 'Move a book and its reviews to the trash (owner or moderator)', tag: 'Books', parameters: [bookId],
+        body: objectWith({ reason: { type: 'string', description: 'Recorded in the audit log when a moderator deletes' } }), bodyRequired: false,
+        responses: { 200: json(messageWith({ purgeAt: { type: 'string', format: 'date-time' } })) }, errors: [400, 403, 404, 429],
+      }),
+    },
+    '/api/books/{id}/upvote': {
+      post: operation({ summary: 'Upvote a book (idempotent)', tag: 'Books', parameters: [bookId], responses: { 200: json(schema('UpvoteResult')) }, errors: [400, 404, 429] }),
+      delete: operation({ summary: 'Retract an upvote', tag: 'Books', parameters: [bookId], responses: { 200: json(schema('UpvoteResult')) }, errors: [400, 404, 429] }),
+    },
+    '/api/books/{id}/bookmark': {
+      post: operation({ summary: 'Bookmark a book', tag: 'Books', parameters: [bookId], responses: { 201: json(messageWith(), 'Created') }, errors: [400, 404, 409, 429] }),
+      delete: operation({ summary: 'Remove a bookmark', tag: 'Books', parameters: [bookId], responses: { 200: json(messageWith()) }, errors: [400, 404, 429] }),
+    },
+    '/api/books/{id}/share': {
+      post: operation({ summary: 'Record a share (counted once per user, or per IP when signed out)', tag: 'Books', auth: 'optional', parameters: [bookId], responses: { 201: json(messageWith(), 'Created') }, errors: [400, 404, 429] }),
+    },
+    '/api/books/{id}/similar': {
+      get: operation({
+        summary: '"Readers also liked" for a book', tag: 'Books', auth: 'optional', parameters: [bookId, queryParam('limit', 'Up to 20', { type: 'integer', default: 6 })],
+        responses: { 200: json(arrayOf({ allOf: [schema('Book'), objectWith({ similarityScore: { type: 'number' }, reason: { type: 'string' } })] })) },
+        errors: [400, 404],
+      }),
+    },
+    '/api/books/{id}/progress': {
+      get: operation({ summary: 'Your reading progress on a book', tag: 'Reading', parameters: [bookId], responses: { 200: json(schema('ReadingProgress')) }, errors: [400, 404] }),
+      put: operation({
+        summary: 'Log a page, percentage or status change', tag: 'Reading', parameters: [bookId],
+        body: objectWith({ status: schema('ReadingStatus'), currentPage: { type: 'integer', minimum: 0 }, percent: { type: 'number', minimum: 0, maximum: 100 }, totalPages: { type: 'integer', minimum: 1 } }),
+        responses: { 200: json(messageWith({ progress: schema('ReadingProgress') })) }, errors: [400, 404, 429],
+      }),
+    },
+    '/api/books/{id}/ratings': {
+      post: operation({
+        summary: 'Set your star rating without writing a review (also updates your review, if any)', tag: 'Reviews', parameters: [bookId],
+        body: objectWith({ rating: schema('StarRating') }, ['rating']),
+        responses: { 200: json(schema('RatingResult')) }, errors: [400, 404, 429],
+      }),
+      delete: operation({
+        summary: 'Clear your quick rating (a review keeps its rating until the review is deleted)', tag: 'Reviews', parameters: [bookId],
+        responses: { 200: json(schema('RatingResult')) }, errors: [400, 404, 409, 429],
+      }),
+    },
+    '/api/books/{id}/average-rating': {
+      get: operation({
+        summary: 'Average rating, number of ratings and star histogram', tag: 'Reviews', auth: 'optional', parameters: [bookId],
+        responses: { 200: json(objectWith({ bookId: { type: 'string' }, averageRating: { type: 'number' }, totalRatings: { type: 'integer' }, histogram: schema('RatingHistogram'), userRating: { ...schema('StarRating'), nullable: true } })) },
+        errors: [400, 404],
+      }),
+    },
+    '/api/books/{id}/reviews': {
+      get: operation({ summary: 'Reviews of a book, newest first', tag: 'Reviews', auth: 'optional', parameters: [bookId, ...paginationParams], responses: { 200: json(page('reviews', schema('Review'))) }, errors: [400] }),
+      post: operation({
+        summary: 'Review a book (one review per user)', tag: 'Reviews', parameters: [bookId], body: schema('ReviewInput'),
+        responses: { 201: json(messageWith({ review: schema('Review'), averageRating: { type: 'number' }, totalReviews: { type: 'integer' } }), 'Created') },
+        errors: [400, 403, 404, 429],
+      }),
+    },
+    '/api/books/{id}/report': {
+      post: operation({ summary: 'Report a book (repeating a report returns the one on file)', tag: 'Moderation', parameters: [bookId], body: schema('ReportInput'), responses: { 200: json(messageWith({ report: schema('Report') }), 'Already reported'), 201: json(messageWith({ report: schema('Report') }), 'Created') }, errors: [400, 404, 429] }),
+    },
+
+    '/api/reviews/{reviewId}': {
+      patch: operation({
+        summary: 'Edit a review (author or moderator)', tag: 'Reviews', parameters: [reviewId], body: schema('ReviewUpdate'),
+        responses: { 200: json(messageWith({ review: schema('Review'), averageRating: { type: 'number' }, totalReviews: { type: 'integer' } })) }, errors: [400, 403, 404, 429],
+      }),
+      delete: operation({ summary: 'Move a review to the trash (author or moderator)', tag: 'Reviews', parameters: [reviewId], body: objectWith({ reason: { type: 'string', description: 'Recorded in the audit log when a moderator deletes' } }), bodyRequired: false, responses: { 200: json(messageWith({ averageRating: { type: 'number' }, totalReviews: { type: 'integer' } })) }, errors: [400, 403, 404, 429] }),
+    },
+    '/api/reviews/{reviewId}/like': {
+      post: operation({ summary: 'Toggle a like on a review', tag: 'Reviews', parameters: [reviewId], responses: { 200: json(messageWith({ likes: { type: 'integer' }, userLiked: { type: 'boolean' } })) }, errors: [400, 404, 429] }),
+    },
+    '/api/reviews/{reviewId}/dislike': {
+      post: operation({ summary: 'Toggle a dislike on a review', tag: 'Reviews', parameters: [reviewId], responses: { 200: json(messageWith({ dislikes: { type: 'integer' }, userDisliked: { type: 'boolean' } })) }, errors: [400, 404, 429] }),
+    },
+    '/api/reviews/status': {
+      get: operation({
+        summary: 'Your like/dislike status for up to 100 reviews at once', tag: 'Reviews', parameters: [{ ...queryParam('ids', 'Comma-separated review IDs'), required: true }],
+        responses: { 200: json(objectWith({ statuses: { type: 'object', additionalProperties: schema('ReactionStatus'), description: 'Keyed by review ID' } })) }, errors: [400],
+      }),
+    },
+    '/api/reviews/{reviewId}/status': {
+      get: operation({ summary: 'Whether you liked or disliked a review', tag: 'Reviews', parameters: [reviewId], responses: { 200: json(schema('ReactionStatus')) }, errors: [400] }),
+    },
+    '/api/reviews/{reviewId}/report': {
+      post: operation({ summary: 'Report a review (repeating a report returns the one on file)', tag: 'Moderation', parameters: [reviewId], body: schema('ReportInput'), responses: { 200: json(messageWith({ report: schema('Report') }), 'Already reported'), 201: json(messageWith({ report: schema('Report') }), 'Created') }, errors: [400, 404, 429] }),
+    },
+    '/api/reviews/{reviewId}/replies': {
+      get: operation({
+        summary: 'Replies to a review, or to a reply with parentId, oldest first', tag: 'Replies', auth: 'none',
+        parameters: [reviewId, queryParam('parentId', 'List answers to this reply instead'), ...paginationParams],
+        responses: { 200: json(page('replies', schema('Reply'))) }, errors: [400],
+      }),
+      post: operation({
+        summary: 'Reply to a review or to another reply', tag: 'Replies', parameters: [reviewId],
+        body: objectWith({ text: { type: 'string' }, parentId: { type: 'string' } }, ['text']),
+        responses: { 201: json(messageWith({ reply: schema('Reply') }), 'Created') }, errors: [400, 404, 429],
+      }),
+    },
+    '/api/replies/{replyId}': {
+      patch: operation({ summary: 'Edit your reply', tag: 'Replies', parameters: [replyId], body: objectWith({ text: { type: 'string' } }, ['text']), responses: { 200: json(messageWith({ reply: schema('Reply') })) }, errors: [400, 403, 404, 429] }),
+      delete: operation({ summary: 'Delete your reply (kept as [deleted] when it has answers)', tag: 'Replies', parameters: [replyId], responses: { 200: json(messageWith()) }, errors: [400, 403, 404, 429] }),
+    },
+    '/api/replies/{replyId}/like': {
+      post: operation({ summary: 'Toggle a like on a reply', tag: 'Replies', parameters: [replyId], responses: { 200: json(messageWith({ likes: { type: 'integer' }, userLiked: { type: 'boolean' } })) }, errors: [400, 404, 429] }),
+    },
+    '/api/replies/{replyId}/dislike': {
+      post: operation({ summary: 'Toggle a dislike on a reply', tag: 'Replies', parameters: [replyId], responses: { 200: json(messageWith({ dislikes: { type: 'integer' }, userDisliked: { type: 'boolean' } })) }, errors: [400, 404, 429] }),
+    },
+    '/api/replies/status': {
+      get: operation({
+        summary: 'Your like/dislike status for up to 100 replies at once', tag: 'Replies', parameters: [{ ...queryParam('ids', 'Comma-separated reply IDs'), required: true }],
+        responses: { 200: json(objectWith({ statuses: { type: 'object', additionalProperties: schema('ReactionStatus'), description: 'Keyed by reply ID' } })) }, errors: [400],
+      }),
+    },
+    '/api/replies/{replyId}/status': {
+      get: operation({ summary: 'Whether you liked or disliked a reply', tag: 'Replies', parameters: [replyId], responses: { 200: json(schema('ReactionStatus')) }, errors: [400] }),
+    },
+
+    '/api/users/profile': {
+      get: operation({ summary: 'Your profile and stats', tag: 'Users', responses: { 200: json(schema('Profile')) } }),
+      patch: operation({ summary: 'Update your profile', tag: 'Users', body: objectWith({ displayName: { type: 'string' }, photoURL: { type: 'string' }, bio: { type: 'string' } }), responses: { 200: json(schema('User')) }, errors: [400, 404, 429] }),
+    },
+    '/api/users/profile/{id}': {
+      get: operation({ summary: "Another user's profile, with follower counts", tag: 'Users', auth: 'optional', parameters: [userId], responses: { 200: json(schema('Profile')) }, errors: [404] }),
+    },
+    '/api/users/profile/{id}/shelves': {
+      get: operation({ summary: "A user's public shelves", tag: 'Shelves', auth: 'none', parameters: [userId, ...paginationParams], responses: { 200: json(page('shelves', schema('Shelf'))) }, errors: [400, 404] }),
+    },
+    '/api/users/profile/{id}/follow': {
+      post: operation({ summary: 'Follow a user', tag: 'Social', parameters: [userId], responses: { 201: json(messageWith(), 'Created') }, errors: [400, 404, 409, 429] }),
+      delete: operation({ summary: 'Unfollow a user', tag: 'Social', parameters: [userId], responses: { 200: json(messageWith()) }, errors: [404, 429] }),
+    },
+    '/api/users/profile/{id}/followers': {
+      get: operation({ summary: "A user's followers", tag: 'Social', auth: 'none', parameters: [userId, ...paginationParams], responses: { 200: json(page('users', schema('UserSummary'))) }, errors: [400] }),
+    },
+    '/api/users/profile/{id}/following': {
+      get: operation({ summary: 'The users a user follows', tag: 'Social', auth: 'none', parameters: [userId, ...paginationParams], responses: { 200: json(page('users', schema('UserSummary'))) }, errors: [400] }),
+    },
+    '/api/users/feed': {
+      get: operation({ summary: 'Activity from the users you follow', tag: 'Social', parameters: paginationParams, responses: { 200: json(page('activities', schema('Activity'))) }, errors: [400] }),
+    },
+    '/api/users/activity': {
+      get: operation({
+        summary: 'Your own activity', tag: 'Social', parameters: paginationParams,
+        responses: { 200: json(page('activity', objectWith({ type: { type: 'string' }, date: { type: 'string', format: 'date-time' }, details: { type: 'object' } }))) }, errors: [400],
+      }),
+    },
+    '/api/users/reading-list': {
+      get: operation({
+        summary: 'Books you own or track, with your status and progress', tag: 'Reading', parameters: paginationParams,
+        responses: { 200: json(page('books', { allOf: [schema('Book'), objectWith({ progress: { ...schema('ReadingProgressSummary'), nullable: true } })] })) }, errors: [400],
+      }),
+    },
+    '/api/users/stats': {
+      get: operation({ summary: 'Your reading statistics', tag: 'Reading', responses: { 200: json(schema('ReadingStats')) } }),
+    },
+    '/api/users/bookmarks': {
+      get: operation({ summary: 'Your bookmarked books, most recent first', tag: 'Books', parameters: paginationParams, responses: { 200: json(page('books', { allOf: [schema('Book'), objectWith({ bookmarkedAt: { type: 'string', format: 'date-time' } })] })) }, errors: [400] }),
+    },
+    '/api/users/upvotes': {
+      get: operation({ summary: 'Books you upvoted', tag: 'Books', parameters: paginationParams, responses: { 200: json(page('books', { allOf: [schema('Book'), objectWith({ upvotedAt: { type: 'string', format: 'date-time' } })] })) }, errors: [400] }),
+    },
+    '/api/users/trash/books': {
+      get: operation({ summary: 'Books you deleted, most recently deleted first', tag: 'Trash', parameters: paginationParams, responses: { 200: json(page('books', schema('TrashedBook'))) }, errors: [400] }),
+    },
+    '/api/users/trash/reviews': {
+      get: operation({ summary: 'Reviews you deleted, most recently deleted first', tag: 'Trash', parameters: paginationParams, responses: { 200: json(page('reviews', schema('TrashedReview'))) }, errors: [400] }),
+    },
+    '/api/users/trash/books/{id}/restore': {
+      post: operation({ summary: 'Restore a deleted book with its reviews', tag: 'Trash', parameters: [bookId], responses: { 200: json(messageWith({ book: schema('Book') })) }, errors: [400, 404, 429] }),
+    },
+    '/api/users/trash/reviews/{id}/restore': {
+      post: operation({
+        summary: 'Restore a deleted review and its rating', tag: 'Trash', parameters: [trashedReviewId],
+        responses: { 200: json(messageWith({ review: schema('Review'), averageRating: { type: 'number' }, totalReviews: { type: 'integer' } })) }, errors: [400, 404, 409, 429],
+      }),
+    },
+    '/api/users/trash/books/{id}': {
+      delete: operation({ summary: 'Permanently delete a book from the trash', tag: 'Trash', parameters: [bookId], responses: { 200: json(messageWith()) }, errors: [400, 404, 429] }),
+    },
+    '/api/users/trash/reviews/{id}': {
+      delete: operation({ summary: 'Permanently delete a review from the trash', tag: 'Trash', parameters: [trashedReviewId], responses: { 200: json(messageWith()) }, errors: [400, 404, 429] }),
+    },
+    '/api/users/recommendations': {
+      get: operation({
+        summary: 'Personalized recommendations', tag: 'Books', parameters: [queryParam('limit', 'Up to 50', { type: 'integer', default: 10 })],
+        responses: { 200: json(arrayOf({ allOf: [schema('Book'), objectWith({ recommendationScore: { type: 'number' }, reason: { type: 'string' } })] })) },
+      }),
+    },
+    '/api/users/import': {
+      post: {
+        ...operation({
+          summary: 'Import a Goodreads or StoryGraph CSV export', tag: 'Books',
+          parameters: [queryParam('format', 'Detected from the headers when omitted', { type: 'string', enum: ['goodreads', 'storygraph'] }), queryParam('dryRun', 'Preview without saving', { type: 'boolean' })],
+          responses: { 200: json(schema('ImportResult'), 'Dry run preview'), 201: json(schema('ImportResult'), 'Imported') },
+          errors: [400, 413, 429],
+        }),
+        requestBody: { required: true, content: { 'text/csv': { schema: { type: 'string' } } } },
+      },
+    },
+    '/api/users/export': {
+      get: operation({
+        summary: 'Download your books, reviews, bookmarks and reading progress', tag: 'Books', parameters: [queryParam('format', 'Export format', { type: 'string', enum: ['json', 'csv'], default: 'json' })],
+        responses: { 200: { description: 'Export file', content: { 'application/json': { schema: { type: 'object' } }, 'text/csv': { schema: { type: 'string' } } } } },
+        errors: [400],
+      }),
+    },
+    '/api/users/goals': {
+      get: operation({ summary: 'Your yearly reading goals with progress, latest year first', tag: 'Goals and challenges', parameters: paginationParams, responses: { 200: json(page('goals', schema('Goal'))) }, errors: [400] }),
+    },
+    '/api/users/goals/{year}': {
+      get: operation({ summary: 'A yearly goal with progress and pace', tag: 'Goals and challenges', parameters: [idParam('year', 'Year, e.g. 2026')], responses: { 200: json(schema('Goal')) }, errors: [400, 404] }),
+      put: operation({
+        summary: 'Set a yearly goal', tag: 'Goals and challenges', parameters: [idParam('year', 'Year, e.g. 2026')],
+        body: objectWith({ targetBooks: { type: 'integer', minimum: 1 }, targetPages: { type: 'integer', minimum: 1 } }, ['targetBooks']),
+        responses: { 200: json(messageWith({ goal: schema('Goal') })) }, errors: [400, 429],
+      }),
+      delete: operation({ summary: 'Remove a yearly goal', tag: 'Goals and challenges', parameters: [idParam('year', 'Year, e.g. 2026')], responses: { 200: json(messageWith()) }, errors: [400, 404, 429] }),
+    },
+    '/api/challenges': {
+      get: operation({
+        summary: 'List challenges', tag: 'Goals and challenges', auth: 'optional',
+        parameters: [queryParam('status', 'Which challenges', { type: 'string', enum: ['active', 'upcoming', 'past', 'all'], default: 'active' }), ...paginationParams],
+        responses: { 200: json(page('challenges', schema('Challenge'))) }, errors: [400],
+      }),
+      post: operation({
+        summary: 'Create a community challenge', tag: 'Goals and challenges',
+        body: objectWith({ title: { type: 'string' }, description: { type: 'string' }, targetBooks: { type: 'integer', minimum: 1 }, startsAt: { type: 'string', format: 'date-time' }, endsAt: { type: 'string', format: 'date-time' }, bookCategory: { type: 'string' } }, ['title', 'targetBooks', 'startsAt', 'endsAt']),
+        responses: { 201: json(schema('Challenge'), 'Created') }, errors: [400, 429],
+      }),
+    },
+    '/api/challenges/{id}': {
+      get: operation({ summary: 'Get a challenge', tag: 'Goals and challenges', auth: 'optional', parameters: [challengeId], responses: { 200: json(schema('Challenge')) }, errors: [400, 404] }),
+      delete: operation({ summary: 'Delete a challenge (creator or moderator)', tag: 'Goals and challenges', parameters: [challengeId], responses: { 200: json(messageWith()) }, errors: [400, 403, 404, 429] }),
+    },
+    '/api/challenges/{id}/join': {
+      post: operation({ summary: 'Join a challenge', tag: 'Goals and challenges', parameters: [challengeId], responses: { 201: json(messageWith(), 'Created') }, errors: [400, 404, 409, 429] }),
+      delete: operation({ summary: 'Leave a challenge', tag: 'Goals and challenges', parameters: [challengeId], responses: { 200: json(messageWith()) }, errors: [400, 404, 429] }),
+    },
+    '/api/challenges/{id}/leaderboard': {
+      get: operation({
+        summary: 'Participants ranked by books finished during the challenge', tag: 'Goals and challenges', auth: 'none', parameters: [challengeId, ...paginationParams],
+        responses: { 200: json(objectWith({ challengeId: { type: 'string' }, targetBooks: { type: 'integer' }, leaderboard: arrayOf(objectWith({ rank: { type: 'integer' }, userName: { type: 'string' }, userPhoto: { type: 'string' }, booksCompleted: { type: 'integer' }, completed: { type: 'boolean' }, joinedAt: { type: 'string', format: 'date-time' } })), nextCursor: schema('NextCursor') })) },
+        errors: [400, 404],
+      }),
+    },
+
+    '/api/users/shelves': {
+      get: operation({ summary: 'Your shelves in display order, bookmarks first', tag: 'Shelves', parameters: paginationParams, responses: { 200: json(page('shelves', schema('Shelf'))) }, errors: [400] }),
+      post: operation({ summary: 'Create a shelf', tag: 'Shelves', body: schema('ShelfInput'), responses: { 201: json(schema('Shelf'), 'Created') }, errors: [400, 409, 429] }),
+    },
+    '/api/users/shelves/order': {
+      put: operation({ summary: 'Reorder your shelves', tag: 'Shelves', body: objectWith({ shelfIds: arrayOf({ type: 'string' }) }, ['shelfIds']), responses: { 200: json(messageWith()) }, errors: [400, 429] }),
+    },
+    '/api/users/shelves/{shelfId}': {
+      get: operation({ summary: 'A shelf with its books in shelf order', tag: 'Shelves', auth: 'optional', parameters: [shelfId, ...paginationParams], responses: { 200: json({ allOf: [schema('Shelf'), objectWith({ nextCursor: schema('NextCursor') })] }) }, errors: [400, 401, 404] }),
+      patch: operation({ summary: 'Rename a shelf or change its description or visibility', tag: 'Shelves', parameters: [shelfId], body: schema('ShelfInput'), responses: { 200: json(messageWith({ shelf: schema('Shelf') })) }, errors: [400, 404, 409, 429] }),
+      delete: operation({ summary: 'Delete a shelf', tag: 'Shelves', parameters: [shelfId], responses: { 200: json(messageWith()) }, errors: [400, 404, 429] }),
+    },
+    '/api/users/shelves/{shelfId}/books': {
+      post: operation({ summary: 'Add a book to a shelf', tag: 'Shelves', parameters: [shelfId], body: objectWith({ bookId: { type: 'string' }, position: { type: 'integer', minimum: 0 } }, ['bookId']), responses: { 201: json(messageWith(), 'Created') }, errors: [400, 404, 409, 429] }),
+    },
+    '/api/users/shelves/{shelfId}/books/order': {
+      put: operation({ summary: 'Reorder the books on a shelf', tag: 'Shelves', parameters: [shelfId], body: objectWith({ bookIds: arrayOf({ type: 'string' }) }, ['bookIds']), responses: { 200: json(messageWith()) }, errors: [400, 404, 429] }),
+    },
+    '/api/users/shelves/{shelfId}/books/{bookId}': {
+      delete: operation({ summary: 'Remove a book from a shelf', tag: 'Shelves', parameters: [shelfId, idParam('bookId', 'Book ID')], responses: { 200: json(messageWith()) }, errors: [400, 404, 429] }),
+    },
+
+    '/api/notifications': {
+      get: operation({
+        summary: 'Your notifications, newest first', tag: 'Notifications', parameters: [queryParam('unreadOnly', 'Only unread notifications', { type: 'boolean' }), ...paginationParams],
+        responses: { 200: json(objectWith({ notifications: arrayOf(schema('Notification')), nextCursor: schema('NextCursor'), unreadCount: { type: 'integer' } })) }, errors: [400],
+      }),
+    },
+    '/api/notifications/unread-count': {
+      get: operation({ summary: 'Your unread notification count', tag: 'Notifications', responses: { 200: json(objectWith({ unreadCount: { type: 'integer' } })) } }),
+    },
+    '/api/notifications/stream': {
+      get: operation({
+        summary: 'Server-Sent Events stream of new notifications (pass the ID token as ?token=)', tag: 'Notifications', auth: 'none',
+        parameters: [{ ...queryParam('token', 'Firebase ID token; EventSource cannot send headers'), required: true }],
+        responses: { 200: { description: 'Event stream of `notification` and `unread-count` events', content: { 'text/event-stream': { schema: { type: 'string' } } } } },
+        errors: [401],
+      }),
+    },
+    '/api/notifications/read-all': {
+      post: operation({ summary: 'Mark all notifications as read', tag: 'Notifications', responses: { 200: json(messageWith({ updated: { type: 'integer' } })) }, errors: [429] }),
+    },
+    '/api/notifications/preferences': {
+      get: operation({ summary: 'Which notification types are on', tag: 'Notifications', responses: { 200: json(schema('NotificationPreferences')) } }),
+      put: operation({ summary: 'Switch notification types on or off', tag: 'Notifications', body: schema('NotificationPreferences'), responses: { 200: json(schema('NotificationPreferences')) }, errors: [400, 429] }),
+    },
+    '/api/notifications/{id}/read': {
+      patch: operation({ summary: 'Mark a notification as read', tag: 'Notifications', parameters: [idParam('id', 'Notification ID')], responses: { 200: json(messageWith({ unreadCount: { type: 'integer' } })) }, errors: [400, 404, 429] }),
+    },
+
+    '/api/admin/users': {
+      get: operation({
+        summary: 'Find users (moderators)', tag: 'Moderation',
+        parameters: [queryParam('q', 'Name or email contains'), queryParam('role', 'Role', schema('Role')), queryParam('suspended', 'Only suspended users', { type: 'boolean' }), ...paginationParams],
+        responses: { 200: json(page('users', { allOf: [schema('User'), objectWith({ suspended: { type: 'boolean' } })] })) }, errors: [400, 403],
+      }),
+    },
+    '/api/admin/users/{id}/role': {
+      put: operation({ summary: "Change a user's role (admins)", tag: 'Moderation', parameters: [userId], body: objectWith({ role: schema('Role') }, ['role']), responses: { 200: json(messageWith({ role: schema('Role') })) }, errors: [400, 403, 404] }),
+    },
+    '/api/admin/users/{id}/suspend': {
+      post: operation({
+        summary: 'Suspend a user (moderators)', tag: 'Moderation', parameters: [userId],
+        body: objectWith({ reason: { type: 'string' }, until: { type: 'string', format: 'date-time' } }, ['reason']),
+        responses: { 200: json(messageWith({ suspension: objectWith({ reason: { type: 'string' }, until: { type: 'string', format: 'date-time', nullable: true } }) })) }, errors: [400, 403, 404],
+      }),
+      delete: operation({ summary: 'Lift a suspension (moderators)', tag: 'Moderation', parameters: [userId], responses: { 200: json(messageWith()) }, errors: [403, 404] }),
+    },
+    '/api/admin/reports': {
+      get: operation({
+        summary: 'Moderation queue, most reported first', tag: 'Moderation',
+        parameters: [queryParam('status', 'Report status', { type: 'string', default: 'open' }), queryParam('targetType', 'book or review', { type: 'string', enum: ['book', 'review'] }), ...paginationParams],
+        responses: { 200: json(page('items', schema('ReportedItem'))) }, errors: [400, 403],
+      }),
+    },
+    '/api/admin/reports/{targetType}/{targetId}/resolve': {
+      post: operation({
+        summary: "Resolve an item's open reports", tag: 'Moderation',
+        parameters: [idParam('targetType', '`book` or `review`'), idParam('targetId', 'Book or review ID')],
+        body: objectWith({ action: { type: 'string', enum: ['dismissed', 'hidden', 'deleted'] }, note: { type: 'string' } }, ['action']),
+        responses: { 200: json(messageWith({ reportCount: { type: 'integer' } })) }, errors: [400, 403, 404],
+      }),
+    },
+    '/api/admin/audit-log': {
+      get: operation({
+        summary: 'Moderator actions, newest first', tag: 'Moderation',
+        parameters: [queryParam('actorId', 'Moderator UID'), queryParam('action', 'e.g. book.delete'), queryParam('targetType', 'book, review, user, challenge'), queryParam('targetId', 'Target ID'), ...paginationParams],
+        responses: { 200: json(page('entries', schema('AuditEntry'))) }, errors: [400, 403],
+      }),
+    },
+  },
+  components: {
+    securitySchemes: {
+      firebaseAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'Firebase ID token' },
+    },
+    parameters: {
+      limit: { name: 'limit', in: 'query', description: 'Page size (capped per endpoint)', schema: { type: 'integer', minimum: 1 } },
+      cursor: { name: 'cursor', in: 'query', description: '`nextCursor` from the previous page', schema: { type: 'string' } },
+      page: { name: 'page', in: 'query', description: 'Legacy page number, ignored when `cursor` is set; use `cursor` instead', deprecated: true, schema: { type: 'integer', minimum: 1 } },
+    },
+    responses: {
+      Error: json(schema('Error'), 'Error'),
+    },
+    schemas: {
+      Error: objectWith({
+        code: { type: 'string', example: 'validation_failed' },
+        status: { type: 'integer', example: 400 },
+        message: { type: 'string' },
+        details: { description: 'Field errors for validation_failed, otherwise extra context such as retryAfter' },
+        requestId: { type: 'string' },
+      }, ['code', 'status', 'message', 'requestId']),
+      NextCursor: { type: 'string', nullable: true, description: 'Pass as `cursor` for the next page; null on the last page' },
+      ReadingStatus: { type: 'string', enum: ['Want-to-Read', 'Reading', 'Read'] },
+      Role: { type: 'string', enum: ['user', 'moderator', 'admin'] },
+      BookInput: objectWith(bookProperties, ['bookTitle', 'bookAuthor', 'bookCategory']),
+      BookUpdate: { ...objectWith(bookProperties), description: 'Any subset of the BookInput fields' },
+      Book: {
+        allOf: [schema('BookInput'), objectWith({
+          _id: { type: 'string' },
+          userEmail: { type: 'string' },
+          userName: { type: 'string' },
+          upvote: { type: 'integer' },
+          userUpvoted: { type: 'boolean' },
+          rating: { type: 'number', description: 'Average of all ratings, from reviews and quick ratings' },
+          totalRatings: { type: 'integer' },
+          totalReviews: { type: 'integer' },
+          ratingStats: objectWith({ count: { type: 'integer' }, sum: { type: 'number' }, histogram: schema('RatingHistogram') }),
+          userRating: { ...schema('StarRating'), nullable: true, description: 'Your own rating; only on GET /api/books/{id}' },
+          bayesianRating: { type: 'number', nullable: true, description: 'Average pulled towards a prior for books with few reviews; used by sort=top_rated' },
+          shares: { type: 'integer' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+        })],
+      },
+      TrashInfo: objectWith({
+        deletedAt: { type: 'string', format: 'date-time' },
+        purgeAt: { type: 'string', format: 'date-time', description: 'When the item is permanently deleted' },
+        deletedBy: { type: 'string' },
+      }),
+      TrashedBook: { allOf: [schema('Book'), schema('TrashInfo')] },
+      UpvoteResult: objectWith({ message: { type: 'string' }, upvote: { type: 'integer' }, userUpvoted: { type: 'boolean' }, book: schema('Book') }),
+      StarRating: { type: 'number', minimum: 0.5, maximum: 5, multipleOf: 0.5 },
+      RatingHistogram: { ...objectWith(Object.fromEntries([1, 2, 3, 4, 5].map(stars => [stars, { type: 'integer' }]))), description: 'Ratings per star; half stars count towards the star above' },
+      RatingResult: objectWith({ message: { type: 'string' }, userRating: { ...schema('StarRating'), nullable: true }, averageRating: { type: 'number' }, totalRatings: { type: 'integer' } }),
+      ReviewInput: objectWith({ rating: schema('StarRating'), reviewText: { type: 'string', maxLength: 5000 } }, ['rating']),
+      ReviewUpdate: objectWith({ rating: schema('StarRating'), reviewText: { type: 'string', maxLength: 5000 } }),
+      Review: objectWith({
+        _id: { type: 'string' },
+        bookId: { type: 'string' },
+        userEmail: { type: 'string' },
+        userName: { type: 'string' },
+        userPhoto: { type: 'string' },
+        reviewText: { type: 'string' },
+        rating: schema('StarRating'),
+        likes: { type: 'integer' },
+        dislikes: { type: 'integer' },
+        replyCount: { type: 'integer' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time' },
+      }),
+      TrashedReview: { allOf: [schema('Review'), schema('TrashInfo'), objectWith({ bookTitle: { type: 'string' } })] },
+      Reply: objectWith({
+        _id: { type: 'string' },
+        reviewId: { type: 'string' },
+        bookId: { type: 'string' },
+        parentId: { type: 'string', nullable: true },
+        depth: { type: 'integer' },
+        text: { type: 'string' },
+        userEmail: { type: 'string', nullable: true },
+        userName: { type: 'string', nullable: true },
+        userPhoto: { type: 'string', nullable: true },
+        likes: { type: 'integer' },
+        dislikes: { type: 'integer' },
+        replyCount: { type: 'integer' },
+        deleted: { type: 'boolean' },
+        createdAt: { type: 'string', format: 'date-time' },
+      }),
+      ReactionStatus: objectWith({ userLiked: { type: 'boolean' }, userDisliked: { type: 'boolean' } }),
+      ReportInput: objectWith({ reason: { type: 'string', enum: ['spam', 'offensive', 'spoiler', 'harassment', 'inaccurate', 'other'] }, note: { type: 'string' } }, ['reason']),
+      Report: objectWith({ reason: { type: 'string' }, note: { type: 'string' }, status: { type: 'string', enum: ['open', 'dismissed', 'hidden', 'deleted'] }, createdAt: { type: 'string', format: 'date-time' } }),
+      ReportedItem: objectWith({
+        targetType: { type: 'string', enum: ['book', 'review'] },
+        targetId: { type: 'string' },
+        reportCount: { type: 'integer' },
+        reasonCounts: { type: 'object', additionalProperties: { type: 'integer' } },
+        reports: arrayOf(objectWith({ reporterEmail: { type: 'string' }, reason: { type: 'string' }, note: { type: 'string' }, createdAt: { type: 'string', format: 'date-time' } })),
+        firstReportedAt: { type: 'string', format: 'date-time' },
+        lastReportedAt: { type: 'string', format: 'date-time' },
+        target: { type: 'object', nullable: true },
+      }),
+      AuditEntry: objectWith({
+        _id: { type: 'string' },
+        actorId: { type: 'string' },
+        actorEmail: { type: 'string' },
+        action: { type: 'string' },
+        targetType: { type: 'string' },
+        targetId: { type: 'string' },
+        details: { type: 'object' },
+        createdAt: { type: 'string', format: 'date-time' },
+      }),
+      ReadingProgressSummary: objectWith({
+        currentPage: { type: 'integer' },
+        percent: { type: 'number' },
+        totalPages: { type: 'integer', nullable: true },
+        readCount: { type: 'integer' },
+        startedAt: { type: 'string', format: 'date-time', nullable: true },
+        finishedAt: { type: 'string', format: 'date-time', nullable: true },
+        updatedAt: { type: 'string', format: 'date-time' },
+      }),
+      ReadingProgress: objectWith({
+        bookId: { type: 'string' },
+        status: { ...schema('ReadingStatus'), nullable: true },
+        currentPage: { type: 'integer' },
+        percent: { type: 'number' },
+        totalPages: { type: 'integer', nullable: true },
+        readCount: { type: 'integer' },
+        sessions: arrayOf(objectWith({ startedAt: { type: 'string', format: 'date-time' }, finishedAt: { type: 'string', format: 'date-time', nullable: true }, abandonedAt: { type: 'string', format: 'date-time' } })),
+        history: arrayOf(objectWith({ status: { type: 'string' }, currentPage: { type: 'integer' }, percent: { type: 'number' }, statusChanged: { type: 'boolean' }, at: { type: 'string', format: 'date-time' } })),
+      }),
+      ReadingStats: objectWith({
+        totalBooks: { type: 'integer' },
+        booksRead: { type: 'integer' },
+        currentlyReading: { type: 'integer' },
+        wantToRead: { type: 'integer' },
+        totalReviews: { type: 'integer' },
+        totalUpvotes: { type: 'integer' },
+        booksFinishedThisYear: { type: 'integer' },
+        rereads: { type: 'integer' },
+        pagesRead: { type: 'integer' },
+        averageDaysToFinish: { type: 'number', nullable: true },
+      }),
+      Goal: objectWith({
+        year: { type: 'integer' },
+        targetBooks: { type: 'integer' },
+        targetPages: { type: 'integer', nullable: true },
+        booksRead: { type: 'integer' },
+        pagesRead: { type: 'integer' },
+        percentComplete: { type: 'integer' },
+        pagesPercentComplete: { type: 'integer', nullable: true },
+        completed: { type: 'boolean' },
+        pace: objectWith({ expectedByNow: { type: 'number' }, difference: { type: 'number' }, status: { type: 'string', enum: ['ahead', 'on-track', 'behind'] }, booksNeededPerWeek: { type: 'number' } }),
+        books: arrayOf(objectWith({ bookId: { type: 'string' }, bookTitle: { type: 'string' }, finishedAt: { type: 'string', format: 'date-time' } })),
+        updatedAt: { type: 'string', format: 'date-time' },
+      }),
+      Challenge: objectWith({
+        _id: { type: 'string' },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        targetBooks: { type: 'integer' },
+        bookCategory: { type: 'string', nullable: true },
+        startsAt: { type: 'string', format: 'date-time' },
+        endsAt: { type: 'string', format: 'date-time' },
+        createdBy: { type: 'string' },
+        createdByName: { type: 'string' },
+        participantCount: { type: 'integer' },
+        joined: { type: 'boolean' },
+      }),
+      ShelfInput: objectWith({ name: { type: 'string', maxLength: 60 }, description: { type: 'string' }, visibility: { type: 'string', enum: ['private', 'public'] } }),
+      Shelf: objectWith({
+        _id: { type: 'string' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        visibility: { type: 'string', enum: ['private', 'public'] },
+        isDefault: { type: 'boolean' },
+        position: { type: 'integer' },
+        bookCount: { type: 'integer' },
+        books: arrayOf({ allOf: [schema('Book'), objectWith({ addedAt: { type: 'string', format: 'date-time' } })] }),
+      }),
+      User: objectWith({
+        _id: { type: 'string', description: 'Firebase UID' },
+        email: { type: 'string' },
+        name: { type: 'string' },
+        profilePhoto: { type: 'string' },
+        bio: { type: 'string' },
+        role: schema('Role'),
+        createdAt: { type: 'string', format: 'date-time' },
+      }),
+      UserSummary: objectWith({ id: { type: 'string' }, name: { type: 'string' }, profilePhoto: { type: 'string' }, followedAt: { type: 'string', format: 'date-time' } }),
+      Profile: objectWith({
+        user: objectWith({ id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' }, profilePhoto: { type: 'string' }, bio: { type: 'string' }, role: schema('Role') }),
+        bookStats: { type: 'object' },
+        engagementStats: objectWith({ bookmarks: { type: 'integer' }, reviews: { type: 'integer' }, ratings: { type: 'integer' } }),
+        socialStats: objectWith({ followers: { type: 'integer' }, following: { type: 'integer' } }),
+        isFollowing: { type: 'boolean' },
+      }),
+      Activity: objectWith({
+        _id: { type: 'string' },
+        type: { type: 'string', example: 'review' },
+        actorId: { type: 'string' },
+        actorName: { type: 'string' },
+        bookId: { type: 'string' },
+        bookTitle: { type: 'string' },
+        createdAt: { type: 'string', format: 'date-time' },
+      }),
+      Notification: objectWith({
+        _id: { type: 'string' },
+        type: { type: 'string', enum: ['review', 'review_like', 'review_dislike', 'upvote'] },
+        actorName: { type: 'string' },
+        bookId: { type: 'string' },
+        bookTitle: { type: 'string' },
+        reviewId: { type: 'string' },
+        read: { type: 'boolean' },
+        createdAt: { type: 'string', format: 'date-time' },
+      }),
+      NotificationPreferences: objectWith(Object.fromEntries(['review', 'review_like', 'review_dislike', 'upvote'].map(type => [type, { type: 'boolean' }]))),
+      ImportResult: objectWith({
+        dryRun: { type: 'boolean' },
+        format: { type: 'string', enum: ['goodreads', 'storygraph'] },
+        summary: objectWith({ totalRows: { type: 'integer' }, imported: { type: 'integer' }, ready: { type: 'integer' }, duplicates: { type: 'integer' }, errors: { type: 'integer' } }),
+        rows: arrayOf(objectWith({
+          row: { type: 'integer' },
+          status: { type: 'string', enum: ['ready', 'imported', 'duplicate', 'error'] },
+          bookTitle: { type: 'string' },
+          bookAuthor: { type: 'string' },
+          errors: arrayOf({ type: 'string' }),
+        })),
+      }),
+    },
+  },
+};
+
+module.exports = document;
@@ -0,0 +1,75 @@
+// Fails when a route registered in index.js has no entry in openapi.js, or the spec describes a route that
+// no longer exists. Routes are read from the source so the server (and its Firebase/MongoDB setup) never starts.
+//
+// It also compares request bodies: the keys a handler reads from req.body (destructured, or as req.body.key)
+// must be the properties its spec entry declares. Handlers that pass the whole body on (to validateBody or a
+// shared helper) are checked by that schema instead and skipped here, as are responses and parameter schemas.
+const fs = require('fs');
+const path = require('path');
+const spec = require('../openapi');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'index.js'), 'utf8');
+const routePattern = /app\.(get|post|put|patch|delete)\(\s*['"`]([^'"`]+)['"`]/g;
+
+const toSpecPath = (route) => route.replace(/:(\w+)/g, '{$1}');
+
+const routes = new Set();
+const bodyReads = new Map();
+const registrations = [...source.matchAll(routePattern)];
+registrations.forEach((match, i) => {
+  const [, method, route] = match;
+  const key = `${method.toUpperCase()} ${toSpecPath(route)}`;
+  routes.add(key);
+
+  // The handler is everything up to the next route registration
+  const handler = source.slice(match.index, registrations[i + 1]?.index);
+  const destructured = [...handler.matchAll(/const \{([^}]*)\} = req\.body\b/g)];
+  const members = [...handler.matchAll(/req\.body\??\.(\w+)\b(?!\s*\()/g)];
+  const wholeBodyUses = [...handler.matchAll(/req\.body\b(?!\??\.\w)/g)].length - destructured.length;
+  if (wholeBodyUses > 0 || (destructured.length === 0 && members.length === 0)) return;
+
+  const keys = destructured
+    .flatMap(([, fields]) => fields.split(','))
+    .map(field => field.trim().split(/[:=\s]/)[0])
+    .filter(field => field && !field.startsWith('...'));
+  bodyReads.set(key, new Set([...keys, ...members.map(([, field]) => field)]));
+});
+
+const documented = new Set();
+for (const [specPath, item] of Object.entries(spec.paths)) {
+  for (const method of Object.keys(item)) {
+    documented.add(`${method.toUpperCase()} ${specPath}`);
+  }
+}
+
+const undocumented = [...routes].filter(route => !documented.has(route));
+const stale = [...documented].filter(route => !routes.has(route));
+
+for (const route of undocumented) console.error(`Missing from openapi.js: ${route}`);
+for (const route of stale) console.error(`Documented but not registered in index.js: ${route}`);
+
+// Declared body properties, following $ref and allOf
+const propertiesOf = (bodySchema) => {
+  if (!bodySchema) return [];
+  if (bodySchema.$ref) return propertiesOf(spec.components.schemas[bodySchema.$ref.split('/').pop()]);
+  return [...Object.keys(bodySchema.properties || {}), ...(bodySchema.allOf || []).flatMap(propertiesOf)];
+};
+
+const bodyMismatches = [];
+for (const [route, read] of bodyReads) {
+  if (!documented.has(route)) continue;
+  const [method, specPath] = route.split(' ');
+  const declared = new Set(propertiesOf(spec.paths[specPath][method.toLowerCase()].requestBody?.content['application/json']?.schema));
+  for (const field of read) {
+    if (!declared.has(field)) bodyMismatches.push(`${route} reads req.body.${field}, which openapi.js does not declare`);
+  }
+  for (const field of declared) {
+    if (!read.has(field)) bodyMismatches.push(`${route} declares body property ${field}, which the handler never reads`);
+  }
+}
+for (const mismatch of bodyMismatches) console.error(mismatch);
+
+if (undocumented.length > 0 || stale.length > 0 || bodyMismatches.length > 0) {
+  process.exit(1);
+}
+console.log(`openapi.js documents all ${routes.size} routes and the request bodies of ${bodyReads.size}`);